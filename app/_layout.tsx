@@ -1,5 +1,11 @@
+import React from "react";
 import { Stack } from "expo-router";
+import { GestureHandlerRootView } from "react-native-gesture-handler";
 
 export default function RootLayout() {
-  return <Stack screenOptions={{headerShown: false}}/>;
-}
\ No newline at end of file
+  return (
+    <GestureHandlerRootView style={{ flex: 1 }}>
+      <Stack screenOptions={{headerShown: false}}/>
+    </GestureHandlerRootView>
+  );
+}
@@ -1,13 +1,16 @@
 import { Text, View } from "react-native";
 import Navigation from "../navigation/index.js"
 import React from "react";
+import { ProfileProvider } from "../context/ProfileProvider";
 
 export default function Index() {
   
   return (
+    <ProfileProvider>
       <Navigation />
+    </ProfileProvider>
   )
 };
 export const unstable_settings={
   headerShown:false,
-}
\ No newline at end of file
+}
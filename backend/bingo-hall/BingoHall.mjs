@@ -0,0 +1,296 @@
+// BingoHall.mjs - a local bingo hall: rooms of players sharing one seeded caller,
+// with every BINGO! claim checked against the claimant's card on the server
+import WebSocket from 'ws';
+import { BingoBoard } from '../../components/bingo/Board.js';
+import { BingoCaller } from '../../components/bingo/Caller.js';
+import { DEFAULT_VARIANT, VARIANTS } from '../../components/bingo/Variants.js';
+import { defaultPatternFor, patternsFor } from '../../components/bingo/Patterns.js';
+import { DEFAULT_HALL_PORT } from '../../components/bingo/HallClient.js';
+
+const DEFAULT_CALL_INTERVAL = 3000;
+const MAX_PLAYERS = 20;
+const CODE_LETTERS = 'ABCDEFGHJKLMNPQRSTUVWXYZ';
+
+function send(socket, message) {
+  if (socket.readyState === WebSocket.OPEN) socket.send(JSON.stringify(message));
+}
+
+class HallPlayer {
+  constructor(id, name, socket) {
+    this.id = id;
+    this.name = name;
+    this.socket = socket;
+    this.seed = null;
+    this.falseClaims = 0;
+  }
+}
+
+export class HallRoom {
+  #players = [];
+  #nextId = 1;
+  #caller = null;
+  #timer = null;
+  #callInterval;
+
+  /**
+   * @param {string} code what players type to join
+   * @param {Object} options
+   * @param {string} options.variant '75' or '90'
+   * @param {Array<string>} options.patterns ids of built-in patterns that win
+   * @param {number} options.callInterval ms between calls
+   */
+  constructor(code, { variant = DEFAULT_VARIANT, patterns = [], callInterval = DEFAULT_CALL_INTERVAL } = {}) {
+    this.code = code;
+    this.variant = VARIANTS[variant] ? variant : DEFAULT_VARIANT;
+    const available = patternsFor(this.variant);
+    const active = available.filter(pattern => patterns.includes(pattern.id));
+    this.patterns = active.length ? active : available.filter(pattern => pattern.id === defaultPatternFor(this.variant));
+    this.#callInterval = callInterval;
+    this.state = 'waiting';
+  }
+
+  get host() {
+    return this.#players[0] || null;
+  }
+
+  get isEmpty() {
+    return this.#players.length === 0;
+  }
+
+  get summary() {
+    return {
+      code: this.code,
+      host: this.host?.name,
+      players: this.#players.length,
+      started: this.state === 'playing',
+      variant: this.variant,
+    };
+  }
+
+  /**
+   * @returns {HallPlayer|string} the new player, or why they can't come in
+   */
+  join(socket, name) {
+    if (this.state === 'playing') return 'That game has already started';
+    if (this.#players.length >= MAX_PLAYERS) return 'That room is full';
+
+    const player = new HallPlayer(this.#nextId++, String(name || 'Player').slice(0, 20), socket);
+    this.#players.push(player);
+    send(socket, {
+      type: 'joined',
+      room: this.code,
+      playerId: player.id,
+      host: player === this.host,
+      variant: this.variant,
+      patterns: this.patterns.map(({ id, name: patternName }) => ({ id, name: patternName })),
+      players: this.#playerList(),
+    });
+    this.#broadcastPlayers();
+    return player;
+  }
+
+  // The next player in line takes over as host
+  leave(player) {
+    this.#players = this.#players.filter(item => item !== player);
+    if (this.isEmpty) this.#stopCalling();
+    else this.#broadcastPlayers();
+  }
+
+  /**
+   * Deal everyone a fresh card and start calling
+   */
+  start(player, seed = Date.now()) {
+    if (player !== this.host) return 'Only the host can start the game';
+    if (this.state === 'playing') return 'The game is already running';
+
+    this.#caller = new BingoCaller({ balls: VARIANTS[this.variant].balls, seed: `${seed}-calls` });
+    this.#players.forEach(item => {
+      item.seed = `${seed}-player-${item.id}`;
+      item.falseClaims = 0;
+      send(item.socket, { type: 'started', seed: item.seed, callInterval: this.#callInterval });
+    });
+    this.state = 'playing';
+    this.#timer = setInterval(() => this.#call(), this.#callInterval);
+    return null;
+  }
+
+  /**
+   * Check a claim using only the numbers called so far, whatever the player daubed
+   */
+  claim(player) {
+    if (this.state !== 'playing' || !player.seed) return 'There is no game running';
+
+    const card = new BingoBoard(this.variant, { seed: player.seed });
+    this.#caller.called.forEach(number => card.markCell(number));
+    const match = card.findMatch(this.patterns);
+    if (!match) {
+      player.falseClaims++;
+      return 'Not a winning card yet';
+    }
+
+    this.#stopCalling();
+    this.#broadcast({
+      type: 'winner',
+      playerId: player.id,
+      name: player.name,
+      pattern: { id: match.pattern.id, name: match.pattern.name },
+      cells: match.shape,
+      calls: this.#caller.called.length,
+    });
+    return null;
+  }
+
+  #call() {
+    const number = this.#caller.next();
+    if (number === null) {
+      this.#stopCalling();
+      this.#broadcast({ type: 'finished' });
+      return;
+    }
+    this.#broadcast({ type: 'call', number, count: this.#caller.called.length });
+  }
+
+  #stopCalling() {
+    if (this.#timer) clearInterval(this.#timer);
+    this.#timer = null;
+    this.state = 'waiting';
+  }
+
+  #playerList() {
+    return this.#players.map(item => ({ id: item.id, name: item.name, host: item === this.host }));
+  }
+
+  #broadcastPlayers() {
+    this.#broadcast({ type: 'players', players: this.#playerList() });
+  }
+
+  #broadcast(message) {
+    this.#players.forEach(item => send(item.socket, message));
+  }
+
+  close() {
+    this.#stopCalling();
+  }
+}
+
+export class BingoHall {
+  #server = null;
+  #rooms = new Map();
+  #port;
+  #callInterval;
+
+  /**
+   * @param {Object} options
+   * @param {number} options.port 0 picks any free port
+   * @param {number} options.callInterval ms between calls in every room
+   */
+  constructor({ port = DEFAULT_HALL_PORT, callInterval = DEFAULT_CALL_INTERVAL } = {}) {
+    this.#port = port;
+    this.#callInterval = callInterval;
+  }
+
+  get port() {
+    return this.#server ? this.#server.address().port : null;
+  }
+
+  /**
+   * @returns {Promise<number>} the port the hall is listening on
+   */
+  listen() {
+    return new Promise((resolve, reject) => {
+      this.#server = new WebSocket.Server({ port: this.#port });
+      this.#server.once('listening', () => resolve(this.port));
+      this.#server.once('error', reject);
+      this.#server.on('connection', socket => this.#connect(socket));
+    });
+  }
+
+  close() {
+    this.#rooms.forEach(room => room.close());
+    this.#rooms.clear();
+    return new Promise(resolve => {
+      if (!this.#server) return resolve();
+      this.#server.clients.forEach(socket => socket.terminate());
+      this.#server.close(() => resolve());
+    });
+  }
+
+  #connect(socket) {
+    // Each connection is in at most one room at a time
+    let seat = null;
+    const leave = () => {
+      if (!seat) return;
+      seat.room.leave(seat.player);
+      if (seat.room.isEmpty) this.#rooms.delete(seat.room.code);
+      seat = null;
+    };
+    const fail = message => send(socket, { type: 'error', message });
+
+    socket.on('message', data => {
+      let message;
+      try {
+        message = JSON.parse(data);
+      } catch {
+        fail('Messages must be JSON');
+        return;
+      }
+      // null, numbers, strings and arrays are valid JSON too
+      if (!message || typeof message !== 'object' || Array.isArray(message)) {
+        fail('Messages must be JSON objects');
+        return;
+      }
+
+      switch (message.type) {
+        case 'rooms':
+          send(socket, { type: 'rooms', rooms: [...this.#rooms.values()].map(room => room.summary) });
+          break;
+        case 'create':
+        case 'join': {
+          leave();
+          const room = message.type === 'create'
+            ? this.#openRoom(message)
+            : this.#rooms.get(String(message.room || '').toUpperCase());
+          if (!room) {
+            fail('No room with that code');
+            break;
+          }
+          const player = room.join(socket, message.name);
+          if (typeof player === 'string') fail(player);
+          else seat = { room, player };
+          break;
+        }
+        case 'start':
+        case 'claim': {
+          if (!seat) {
+            fail('Join a room first');
+            break;
+          }
+          const problem = message.type === 'start' ? seat.room.start(seat.player) : seat.room.claim(seat.player);
+          if (problem && message.type === 'claim') send(socket, { type: 'rejected', reason: problem });
+          else if (problem) fail(problem);
+          break;
+        }
+        case 'leave':
+          leave();
+          break;
+        default:
+          fail(`Unknown message type: ${message.type}`);
+      }
+    });
+    socket.on('close', leave);
+  }
+
+  #openRoom({ variant, patterns }) {
+    let code;
+    do {
+      code = Array.from({ length: 4 }, () => CODE_LETTERS[Math.floor(Math.random() * CODE_LETTERS.length)]).join('');
+    } while (this.#rooms.has(code));
+    const room = new HallRoom(code, {
+      variant,
+      patterns: Array.isArray(patterns) ? patterns : [],
+      callInterval: this.#callInterval,
+    });
+    this.#rooms.set(code, room);
+    return room;
+  }
+}
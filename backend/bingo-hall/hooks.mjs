@@ -0,0 +1,18 @@
+// hooks.mjs - lets Node load the app's bingo model (components/) as written for Metro:
+// ES modules in .js files, imported without their extension
+const COMPONENTS = new URL('../../components/', import.meta.url).href;
+
+export async function resolve(specifier, context, nextResolve) {
+  const fromComponents = context.parentURL?.startsWith(COMPONENTS);
+  if (fromComponents && specifier.startsWith('.') && !/\.[cm]?js$/.test(specifier)) {
+    return nextResolve(`${specifier}.js`, context);
+  }
+  return nextResolve(specifier, context);
+}
+
+export async function load(url, context, nextLoad) {
+  if (url.startsWith(COMPONENTS)) {
+    return nextLoad(url, { ...context, format: 'module' });
+  }
+  return nextLoad(url, context);
+}
@@ -0,0 +1,18 @@
+// index.mjs - run the bingo hall on this machine: `npm run bingo-hall` (PORT and CALL_INTERVAL to override)
+import { register } from 'node:module';
+
+register('./hooks.mjs', import.meta.url);
+
+const { BingoHall } = await import('./BingoHall.mjs');
+
+const hall = new BingoHall({
+  port: Number(process.env.PORT) || undefined,
+  callInterval: Number(process.env.CALL_INTERVAL) || undefined,
+});
+const port = await hall.listen();
+console.log(`Bingo hall open on ws://localhost:${port}`);
+
+process.on('SIGINT', async () => {
+  await hall.close();
+  process.exit(0);
+});
@@ -0,0 +1,134 @@
+// simulate.mjs - opens a hall on a free port and plays a game with simulated clients:
+// `npm run bingo-hall:simulate -- 6` for six players. Exits non-zero if anything goes wrong.
+import { register } from 'node:module';
+import WebSocket from 'ws';
+
+register('./hooks.mjs', import.meta.url);
+
+const { BingoHall } = await import('./BingoHall.mjs');
+const { BingoBoard } = await import('../../components/bingo/Board.js');
+const { patternsFor } = await import('../../components/bingo/Patterns.js');
+const { HallClient } = await import('../../components/bingo/HallClient.js');
+
+const PLAYERS = Math.max(2, Number(process.argv[2]) || 4);
+const VARIANT = process.argv[3] || '75';
+const TIME_LIMIT = 20000;
+
+/**
+ * A player who daubs every call and claims as soon as their card shows a win.
+ * The cheat claims on the very first call instead, and should be turned away.
+ */
+function simulatedPlayer(url, name, { cheat = false } = {}) {
+  const client = new HallClient(url, { WebSocket });
+  const log = { name, claims: 0, rejected: 0, won: null, winner: null };
+  let card = null;
+  let patterns = [];
+
+  client.on('joined', message => {
+    log.room = message.room;
+    patterns = patternsFor(message.variant).filter(pattern => message.patterns.some(({ id }) => id === pattern.id));
+    log.variant = message.variant;
+  });
+  client.on('started', message => {
+    card = new BingoBoard(log.variant, { seed: message.seed });
+  });
+  client.on('call', message => {
+    card.markCell(message.number);
+    if (cheat ? message.count === 1 : card.findPattern(patterns)) {
+      log.claims++;
+      client.claim();
+    }
+  });
+  client.on('rejected', () => log.rejected++);
+  client.on('error', message => console.error(`${name} got an error: ${message.message}`));
+  return { client, log };
+}
+
+function waitFor(client, type) {
+  return new Promise(resolve => {
+    const stop = client.on(type, message => {
+      stop();
+      resolve(message);
+    });
+  });
+}
+
+const hall = new BingoHall({ port: 0, callInterval: 5 });
+const port = await hall.listen();
+const url = `ws://localhost:${port}`;
+const failures = [];
+const timeout = setTimeout(() => {
+  console.error(`No winner within ${TIME_LIMIT / 1000}s`);
+  process.exit(1);
+}, TIME_LIMIT);
+
+const players = Array.from({ length: PLAYERS }, (_, i) => simulatedPlayer(url, `Player ${i + 1}`, { cheat: i === 1 }));
+await Promise.all(players.map(({ client }) => client.connect()));
+
+// The host opens a room and everyone else finds it in the lobby
+const [host, ...guests] = players;
+host.client.createRoom(host.log.name, { variant: VARIANT, patterns: ['line', 'fourCorners', 'oneLine'] });
+const { room } = await waitFor(host.client, 'joined');
+guests[0].client.listRooms();
+const { rooms } = await waitFor(guests[0].client, 'rooms');
+if (!rooms.some(item => item.code === room)) failures.push(`Room ${room} missing from the lobby`);
+for (const guest of guests) {
+  guest.client.joinRoom(room.toLowerCase(), guest.log.name);
+  await waitFor(guest.client, 'joined');
+}
+
+const results = players.map(({ client }) => waitFor(client, 'winner'));
+host.client.start();
+const winners = await Promise.all(results);
+clearTimeout(timeout);
+
+// Everyone heard the same winner, and that winner's claim really holds up
+const [winner] = winners;
+if (winners.some(item => item.playerId !== winner.playerId)) failures.push('Players were told different winners');
+if (players[1].log.rejected === 0) failures.push('The false claim was not rejected');
+const winningLog = players.find(({ log }) => log.name === winner.name).log;
+if (winningLog.claims === winningLog.rejected) failures.push('Winner had no accepted claim');
+
+console.log(`Room ${room}, ${PLAYERS} players, ${VARIANT}-ball`);
+console.log(`${winner.name} won with ${winner.pattern.name} after ${winner.calls} calls`);
+players.forEach(({ log }) => console.log(`  ${log.name}: ${log.claims} claims, ${log.rejected} rejected`));
+
+// Garbage from a client gets an error back and leaves the hall running for everyone else
+const BAD_FRAMES = ['null', '[]', '42', '"rooms"', 'not json', '{"type":"join","room":null,"name":{}}', '{"type":7}'];
+const rogue = new WebSocket(url);
+await new Promise(resolve => rogue.once('open', resolve));
+const errors = [];
+const answered = new Promise(resolve => {
+  rogue.on('message', data => {
+    errors.push(JSON.parse(data));
+    if (errors.length === BAD_FRAMES.length) resolve();
+  });
+  rogue.once('close', resolve);
+  setTimeout(resolve, 2000);
+});
+BAD_FRAMES.forEach(frame => rogue.send(frame));
+await answered;
+const stillOpen = await new Promise(resolve => {
+  const probe = new WebSocket(url);
+  probe.once('open', () => probe.send(JSON.stringify({ type: 'rooms' })));
+  probe.once('message', data => {
+    probe.close();
+    resolve(JSON.parse(data).type === 'rooms');
+  });
+  probe.once('error', () => resolve(false));
+});
+if (!stillOpen) failures.push('The hall stopped answering after bad frames');
+if (errors.filter(message => message.type === 'error').length !== BAD_FRAMES.length) {
+  failures.push(`Expected ${BAD_FRAMES.length} errors for bad frames, got ${errors.length}`);
+}
+console.log(`  ${BAD_FRAMES.length} bad frames: ${errors.length} errors, hall ${stillOpen ? 'still open' : 'down'}`);
+rogue.close();
+
+players.forEach(({ client }) => client.close());
+await hall.close();
+
+if (failures.length) {
+  failures.forEach(failure => console.error(`FAIL: ${failure}`));
+  process.exit(1);
+}
+console.log('OK');
@@ -13,17 +13,21 @@ import {
 import { Ionicons } from '@expo/vector-icons';
 import { GameEngine } from './dino/GameEngine';
 import { LinearGradient } from 'expo-linear-gradient';
+import { ScoreManager } from './ScoreManager';
+import ProfileBadge from './ProfileBadge';
 
 
 const { width: SCREEN_WIDTH, height: SCREEN_HEIGHT } = Dimensions.get('window');
 const GAME_WIDTH = SCREEN_WIDTH;
 const GAME_HEIGHT = SCREEN_HEIGHT * 0.6;
+const scoreManager = new ScoreManager('dino');
 
 export default function DinoGameManager() {
   const [gameState, setGameState] = useState(null);
   const [runFrame, setRunFrame] = useState(0);
   const gameEngineRef = useRef(null);
   const animationFrameRef = useRef(null);
+  const runStartRef = useRef(Date.now());
 
 
   useEffect(() => {
@@ -39,6 +43,10 @@ export default function DinoGameManager() {
   useEffect(() => {
     gameEngineRef.current = new GameEngine(GAME_WIDTH, GAME_HEIGHT);
     setGameState(gameEngineRef.current.getGameState());
+    scoreManager.getHighScore().then(best => {
+      const engine = gameEngineRef.current;
+      if (engine) engine.highScore = Math.max(engine.highScore, best);
+    });
     
     return () => {
       if (animationFrameRef.current) {
@@ -48,6 +56,23 @@ export default function DinoGameManager() {
   }, []);
 
 
+  useEffect(() => {
+    if (gameState?.isRunning) {
+      runStartRef.current = Date.now();
+    }
+  }, [gameState?.isRunning]);
+
+
+  useEffect(() => {
+    if (gameState?.isGameOver) {
+      scoreManager.recordGame({
+        score: gameState.score,
+        duration: Date.now() - runStartRef.current,
+      });
+    }
+  }, [gameState?.isGameOver]);
+
+
   useEffect(() => {
     if (Platform.OS === 'web') {
       const handleKeyPress = (e) => {
@@ -95,6 +120,7 @@ export default function DinoGameManager() {
       {/* Header with scores */}
       <View style={styles.header}>
         <Text style={styles.scoreText}>HI: {gameState.highScore}</Text>
+        <ProfileBadge />
         <Text style={styles.scoreText}>
           {String(gameState.score).padStart(5, '0')}
         </Text>
@@ -0,0 +1,207 @@
+// ExpectimaxSolver.js - 2048 move search, works on plain value grids so it runs headless
+import { GameManager } from './GameManager';
+
+const DIRECTIONS = ['up', 'left', 'right', 'down'];
+
+// Same odds as GameManager.addRandomTile()
+const SPAWN_ODDS = [
+    { value: 2, probability: 0.9 },
+    { value: 4, probability: 0.1 },
+];
+
+/**
+ * Slide one line towards index 0, merging each pair once
+ * @returns {{line: Array, score: number}}
+ */
+function slideLine(line) {
+    let values = line.filter(value => value !== null);
+    let result = [];
+    let score = 0;
+    for (let i = 0; i < values.length; i++) {
+        if (i + 1 < values.length && values[i] === values[i + 1]) {
+            result.push(values[i] * 2);
+            score += values[i] * 2;
+            i++;
+        } else {
+            result.push(values[i]);
+        }
+    }
+    while (result.length < line.length) result.push(null);
+    return { line: result, score };
+}
+
+/**
+ * Apply a move to a value grid without spawning a tile
+ * @returns {{board: Array, score: number, moved: boolean}}
+ */
+function applyMove(board, direction) {
+    let size = board.length;
+    let next = board.map(row => [...row]);
+    let score = 0;
+    let moved = false;
+    for (let i = 0; i < size; i++) {
+        let line = [];
+        for (let j = 0; j < size; j++) {
+            let [r, c] = cellAt(direction, i, j, size);
+            line.push(board[r][c]);
+        }
+        let slid = slideLine(line);
+        score += slid.score;
+        for (let j = 0; j < size; j++) {
+            let [r, c] = cellAt(direction, i, j, size);
+            if (next[r][c] !== slid.line[j]) moved = true;
+            next[r][c] = slid.line[j];
+        }
+    }
+    return { board: next, score, moved };
+}
+
+// j-th cell of the i-th line, counted from the edge tiles slide towards
+function cellAt(direction, i, j, size) {
+    switch (direction) {
+        case 'left': return [i, j];
+        case 'right': return [i, size - 1 - j];
+        case 'up': return [j, i];
+        default: return [size - 1 - j, i];
+    }
+}
+
+function emptyCells(board) {
+    let cells = [];
+    board.forEach((row, r) => row.forEach((value, c) => {
+        if (value === null) cells.push([r, c]);
+    }));
+    return cells;
+}
+
+/**
+ * Default board evaluation: free space, monotonic rows/columns, smooth neighbours
+ * and the biggest tile sitting in a corner.
+ */
+function defaultHeuristic(board) {
+    let size = board.length;
+    let log = value => (value ? Math.log2(value) : 0);
+    let empty = 0;
+    let smoothness = 0;
+    let monotonicity = 0;
+    let max = 0;
+
+    for (let r = 0; r < size; r++) {
+        let increasing = 0, decreasing = 0;
+        for (let c = 0; c < size; c++) {
+            let value = board[r][c];
+            if (value === null) empty++;
+            if (value > max) max = value;
+            if (c + 1 < size) {
+                let diff = log(board[r][c + 1]) - log(value);
+                if (diff > 0) increasing += diff; else decreasing -= diff;
+                if (value && board[r][c + 1]) smoothness -= Math.abs(diff);
+            }
+            if (r + 1 < size && value && board[r + 1][c]) {
+                smoothness -= Math.abs(log(board[r + 1][c]) - log(value));
+            }
+        }
+        monotonicity -= Math.min(increasing, decreasing);
+    }
+    for (let c = 0; c < size; c++) {
+        let increasing = 0, decreasing = 0;
+        for (let r = 0; r + 1 < size; r++) {
+            let diff = log(board[r + 1][c]) - log(board[r][c]);
+            if (diff > 0) increasing += diff; else decreasing -= diff;
+        }
+        monotonicity -= Math.min(increasing, decreasing);
+    }
+
+    let corners = [board[0][0], board[0][size - 1], board[size - 1][0], board[size - 1][size - 1]];
+    let cornerBonus = corners.includes(max) ? log(max) : 0;
+
+    return empty * 2.7 + monotonicity * 1.0 + smoothness * 0.1 + cornerBonus;
+}
+
+class ExpectimaxSolver {
+    /**
+     * @param {Object} options
+     * @param {number} options.depth player moves to look ahead
+     * @param {Function} options.heuristic board => number, higher is better
+     * @param {number} options.minProbability chance branches less likely than this are cut off
+     */
+    constructor({ depth = 2, heuristic = defaultHeuristic, minProbability = 0.0001 } = {}) {
+        this.depth = depth;
+        this.heuristic = heuristic;
+        this.minProbability = minProbability;
+    }
+
+    /**
+     * Expected value of every direction; null for moves that do nothing
+     */
+    scoreMoves(board) {
+        let scores = {};
+        for (let direction of DIRECTIONS) {
+            let result = applyMove(board, direction);
+            scores[direction] = result.moved
+                ? result.score + this.chanceNode(result.board, this.depth - 1, 1)
+                : null;
+        }
+        return scores;
+    }
+
+    /**
+     * Best direction for the board, or null when no move is possible
+     */
+    bestMove(board) {
+        let scores = this.scoreMoves(board);
+        let best = null;
+        for (let direction of DIRECTIONS) {
+            if (scores[direction] !== null && (best === null || scores[direction] > scores[best])) {
+                best = direction;
+            }
+        }
+        return best;
+    }
+
+    chanceNode(board, depth, probability) {
+        let cells = emptyCells(board);
+        if (depth < 0 || cells.length === 0 || probability < this.minProbability) {
+            return this.heuristic(board);
+        }
+        let total = 0;
+        for (let [r, c] of cells) {
+            for (let { value, probability: odds } of SPAWN_ODDS) {
+                board[r][c] = value;
+                total += odds * this.maxNode(board, depth, probability * odds / cells.length);
+            }
+            board[r][c] = null;
+        }
+        return total / cells.length;
+    }
+
+    maxNode(board, depth, probability) {
+        if (depth === 0) return this.heuristic(board);
+        let best = null;
+        for (let direction of DIRECTIONS) {
+            let result = applyMove(board, direction);
+            if (!result.moved) continue;
+            let value = result.score + this.chanceNode(result.board, depth - 1, probability);
+            if (best === null || value > best) best = value;
+        }
+        // No legal move means the game ends here
+        return best === null ? this.heuristic(board) - 1000 : best;
+    }
+}
+
+/**
+ * Let the solver play a game to the end without any UI
+ * @returns {{score: number, maxTile: number, moves: number}}
+ */
+function autoplay(solver, { size = 4, seed = Date.now(), maxMoves = Infinity } = {}) {
+    let game = new GameManager(size, { seed, undoLimit: 0, target: null });
+    let moves = 0;
+    while (moves < maxMoves && !game.isGameOver()) {
+        let direction = solver.bestMove(game.snapshot().grid);
+        if (!direction || !game.move(direction)) break;
+        moves++;
+    }
+    return { score: game.score, maxTile: game.maxTile(), moves };
+}
+
+export { ExpectimaxSolver, autoplay, applyMove, defaultHeuristic, DIRECTIONS };
@@ -1,21 +1,111 @@
+import { SeededRandom } from './SeededRandom';
+
+let nextTileId = 1;
+
+// Most undo/redo steps a save keeps, so games with an unlimited budget still save small
+const SAVED_STEPS = 20;
+
 class Tile {
-    constructor(value, row, col) {
+    constructor(value, row, col, id = nextTileId++) {
+        this.id = id;
         this.value = value;
         this.row = row;
         this.col = col;
         this.merged = false;
+        this.mergedFrom = null;
+    }
+
+    clone() {
+        let copy = new Tile(this.value, this.row, this.col, this.id);
+        copy.merged = this.merged;
+        return copy;
     }
 }
 
 class GameManager  {
-    constructor(size = 4) {
+    /**
+     * @param {number} size board width/height
+     * @param {Object} options
+     * @param {number} options.undoLimit how many undos a game may use (Infinity = unlimited)
+     * @param {number|string} options.seed seed for tile spawning; same seed + same moves = same game
+     * @param {Object} options.rng any generator with next()/getState()/setState(), overrides seed
+     * @param {number|null} options.target tile that wins the game, null for endless
+     */
+    constructor(size = 4, { undoLimit = 3, seed = Date.now(), rng = null, target = 2048 } = {}) {
         this.size = size;
+        this.target = target;
+        this.keepPlaying = false;
+        this.rng = rng || new SeededRandom(seed);
+        this.seed = this.rng.seed ?? seed;
         this.grid = this.emptyGrid();
         this.score = 0;
+        this.moves = 0;
+        this.undoLimit = undoLimit;
+        this.undosLeft = undoLimit;
+        this.history = [];
+        this.future = [];
+        this.lastTransitions = [];
         this.addRandomTile();
         this.addRandomTile();
     }
 
+    /**
+     * Rebuild a game from its seed and the directions that were played
+     */
+    static replay(seed, directions, size = 4) {
+        let game = new GameManager(size, { seed, undoLimit: 0, target: null });
+        for (let direction of directions) game.move(direction);
+        return game;
+    }
+
+    /**
+     * Independent copy that keeps tile ids (for animations), history and RNG position.
+     * Mutating the copy never touches this game.
+     */
+    clone() {
+        let copy = Object.assign(Object.create(GameManager.prototype), this);
+        copy.rng = Object.assign(Object.create(Object.getPrototypeOf(this.rng)), this.rng);
+        copy.grid = this.grid.map(row => row.map(tile => tile ? tile.clone() : null));
+        copy.history = [...this.history];
+        copy.future = [...this.future];
+        return copy;
+    }
+
+    /**
+     * Plain JSON-safe object with everything needed to resume the game.
+     * Unlimited undo budgets are stored as null, and only the moves the
+     * budget can still undo (at most SAVED_STEPS each way) are kept.
+     */
+    serialize() {
+        let finite = value => (value === Infinity ? null : value);
+        let keep = Math.min(this.undosLeft, SAVED_STEPS);
+        return {
+            size: this.size,
+            target: this.target,
+            keepPlaying: this.keepPlaying,
+            seed: this.seed,
+            undoLimit: finite(this.undoLimit),
+            undosLeft: finite(this.undosLeft),
+            ...this.snapshot(),
+            history: keep > 0 ? this.history.slice(-keep) : [],
+            future: this.future.slice(-SAVED_STEPS),
+        };
+    }
+
+    static deserialize(data) {
+        let game = new GameManager(data.size, {
+            seed: data.seed,
+            target: data.target,
+            undoLimit: data.undoLimit ?? Infinity,
+        });
+        game.restore(data);
+        game.keepPlaying = data.keepPlaying;
+        game.undosLeft = data.undosLeft ?? Infinity;
+        game.history = data.history || [];
+        game.future = data.future || [];
+        return game;
+    }
+
     emptyGrid() {
         let grid = [];
         for (let r = 0; r < this.size; r++) {
@@ -43,23 +133,84 @@ class GameManager  {
     addRandomTile() {
         let cells = this.availableCells();
         if (cells.length > 0) {
-            let { row, col } = cells[Math.floor(Math.random() * cells.length)];
-            let value = Math.random() < 0.9 ? 2 : 4;
-            this.grid[row][col] = new Tile(value, row, col);
+            let { row, col } = cells[Math.floor(this.rng.next() * cells.length)];
+            let value = this.rng.next() < 0.9 ? 2 : 4;
+            let tile = new Tile(value, row, col);
+            this.grid[row][col] = tile;
+            return { id: tile.id, row, col, value };
         }
+        return null;
+    }
+
+    /**
+     * Copy of the board values, score, move count and RNG position, detached from the live Tile objects
+     */
+    snapshot() {
+        return {
+            grid: this.grid.map(row => row.map(tile => tile ? tile.value : null)),
+            score: this.score,
+            moves: this.moves,
+            rngState: this.rng.getState(),
+        };
+    }
+
+    restore(snapshot) {
+        this.grid = snapshot.grid.map((row, r) =>
+            row.map((value, c) => value ? new Tile(value, r, c) : null)
+        );
+        this.score = snapshot.score;
+        this.moves = snapshot.moves ?? 0;
+        this.rng.setState(snapshot.rngState);
+        this.lastTransitions = [];
+    }
+
+    canUndo() {
+        return this.history.length > 0 && this.undosLeft > 0;
+    }
+
+    canRedo() {
+        return this.future.length > 0;
+    }
+
+    /**
+     * Step back one move. Uses up one undo from the budget.
+     */
+    undo() {
+        if (!this.canUndo()) return false;
+        let entry = this.history.pop();
+        this.future.push(entry);
+        this.restore(entry.before);
+        this.undosLeft--;
+        return true;
+    }
+
+    /**
+     * Replay an undone move exactly, including the tile it spawned,
+     * and give the undo back to the budget.
+     */
+    redo() {
+        if (!this.canRedo()) return false;
+        let entry = this.future.pop();
+        this.history.push(entry);
+        this.restore(entry.after);
+        this.undosLeft = Math.min(this.undoLimit, this.undosLeft + 1);
+        return true;
     }
 
     slide(row) {
         let arr = row.filter(tile => tile !== null);
-        for (let tile of arr) tile.merged = false;
+        for (let tile of arr) {
+            tile.merged = false;
+            tile.mergedFrom = null;
+        }
         let result = [];
         while (arr.length > 0) {
             let tile = arr.shift();
             if (arr.length > 0 && arr[0].value === tile.value && !arr[0].merged && !tile.merged) {
                 let mergedTile = new Tile(tile.value * 2, tile.row, tile.col);
                 mergedTile.merged = true;
+                mergedTile.mergedFrom = [tile, arr.shift()];
                 this.score += mergedTile.value;
-                arr.shift();
                 result.push(mergedTile);
             } else {
                 result.push(tile);
@@ -71,63 +222,98 @@ class GameManager  {
         return result;
     }
 
+    /**
+     * Cells of the i-th row/column, starting from the edge tiles slide towards
+     */
+    lineCells(direction, i) {
+        let cells = [];
+        for (let j = 0; j < this.size; j++) {
+            switch (direction) {
+                case 'left': cells.push({ row: i, col: j }); break;
+                case 'right': cells.push({ row: i, col: this.size - 1 - j }); break;
+                case 'up': cells.push({ row: j, col: i }); break;
+                case 'down': cells.push({ row: this.size - 1 - j, col: i }); break;
+            }
+        }
+        return cells;
+    }
+
+    /**
+     * Slide the board. When anything moved, a random tile is spawned and
+     * lastTransitions describes the move for animation:
+     * { id, value, from, to, mergedInto } per tile that was on the board,
+     * { id, value, to, merged: true } per tile created by a merge,
+     * { id, value, to, spawned: true } for the new random tile.
+     */
     move(direction) {
+        if (!['left', 'right', 'up', 'down'].includes(direction)) return false;
+        let before = this.snapshot();
+        let transitions = [];
         let moved = false;
-        switch (direction) {
-            case 'left':
-                for (let r = 0; r < this.size; r++) {
-                    let newRow = this.slide(this.grid[r]);
-                    for (let c = 0; c < this.size; c++) {
-                        if (this.grid[r][c] !== newRow[c]) moved = true;
-                        this.grid[r][c] = newRow[c];
-                    }
-                }
-                break;
-            case 'right':
-                for (let r = 0; r < this.size; r++) {
-                    let reversed = [...this.grid[r]].reverse();
-                    let newRow = this.slide(reversed).reverse();
-                    for (let c = 0; c < this.size; c++) {
-                        if (this.grid[r][c] !== newRow[c]) moved = true;
-                        this.grid[r][c] = newRow[c];
-                    }
-                }
-                break;
-            case 'up':
-                for (let c = 0; c < this.size; c++) {
-                    let col = [];
-                    for (let r = 0; r < this.size; r++) col.push(this.grid[r][c]);
-                    let newCol = this.slide(col);
-                    for (let r = 0; r < this.size; r++) {
-                        if (this.grid[r][c] !== newCol[r]) moved = true;
-                        this.grid[r][c] = newCol[r];
-                    }
-                }
-                break;
-            case 'down':
-                for (let c = 0; c < this.size; c++) {
-                    let col = [];
-                    for (let r = 0; r < this.size; r++) col.push(this.grid[r][c]);
-                    let reversed = [...col].reverse();
-                    let newCol = this.slide(reversed).reverse();
-                    for (let r = 0; r < this.size; r++) {
-                        if (this.grid[r][c] !== newCol[r]) moved = true;
-                        this.grid[r][c] = newCol[r];
+        for (let i = 0; i < this.size; i++) {
+            let cells = this.lineCells(direction, i);
+            let newLine = this.slide(cells.map(({ row, col }) => this.grid[row][col]));
+            cells.forEach(({ row, col }, j) => {
+                let tile = newLine[j];
+                if (this.grid[row][col] !== tile) moved = true;
+                this.grid[row][col] = tile;
+                if (!tile) return;
+                let to = { row, col };
+                if (tile.mergedFrom) {
+                    for (let source of tile.mergedFrom) {
+                        transitions.push({ id: source.id, value: source.value, from: { row: source.row, col: source.col }, to, mergedInto: tile.id });
                     }
+                    transitions.push({ id: tile.id, value: tile.value, to, merged: true });
+                    tile.mergedFrom = null;
+                } else {
+                    transitions.push({ id: tile.id, value: tile.value, from: { row: tile.row, col: tile.col }, to, mergedInto: null });
                 }
-                break;
+                tile.row = row;
+                tile.col = col;
+            });
         }
         if (moved) {
-            this.addRandomTile();
+            this.moves++;
+            let spawned = this.addRandomTile();
+            if (spawned) {
+                transitions.push({ id: spawned.id, value: spawned.value, to: { row: spawned.row, col: spawned.col }, spawned: true });
+            }
+            this.lastTransitions = transitions;
+            this.history.push({ direction, spawned, before, after: this.snapshot() });
+            // Moves further back than the undo budget can reach are never needed again
+            if (this.history.length > this.undosLeft) this.history.shift();
+            this.future = [];
         }
         return moved;
     }
 
+    maxTile() {
+        let max = 0;
+        for (let row of this.grid) {
+            for (let tile of row) {
+                if (tile && tile.value > max) max = tile.value;
+            }
+        }
+        return max;
+    }
+
+    /**
+     * True once the target tile is on the board, until the player chooses to keep going
+     */
+    isWon() {
+        return this.target !== null && !this.keepPlaying && this.maxTile() >= this.target;
+    }
+
+    continuePlaying() {
+        this.keepPlaying = true;
+    }
+
     isGameOver() {
         if (this.availableCells().length > 0) return false;
         for (let r = 0; r < this.size; r++) {
             for (let c = 0; c < this.size; c++) {
                 let tile = this.grid[r][c];
+                if (!tile) return false;
                 let dirs = [
                     { dr: 0, dc: 1 },
                     { dr: 1, dc: 0 },
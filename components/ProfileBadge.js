@@ -0,0 +1,42 @@
+import React from 'react';
+import { View, Text, StyleSheet } from 'react-native';
+import { useProfile } from '../context/ProfileProvider';
+
+// Active player's avatar and name, shown in every game header
+const ProfileBadge = ({ style }) => {
+  const { profile } = useProfile();
+  if (!profile) return null;
+
+  return (
+    <View style={[styles.badge, { borderColor: profile.color }, style]}>
+      <Text style={styles.avatar}>{profile.avatar}</Text>
+      <Text style={[styles.name, { color: profile.color }]} numberOfLines={1}>
+        {profile.name}
+      </Text>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  badge: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    alignSelf: 'center',
+    gap: 6,
+    paddingVertical: 4,
+    paddingHorizontal: 10,
+    borderWidth: 2,
+    borderRadius: 16,
+    backgroundColor: 'rgba(0, 0, 0, 0.35)',
+    maxWidth: 180,
+  },
+  avatar: {
+    fontSize: 16,
+  },
+  name: {
+    fontSize: 14,
+    fontWeight: 'bold',
+  },
+});
+
+export default ProfileBadge;
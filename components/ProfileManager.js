@@ -0,0 +1,128 @@
+// ProfileManager.js - local player profiles; scores, saves and settings are stored per profile
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+const PROFILES_KEY = 'profiles';
+const ACTIVE_PROFILE_KEY = 'profiles:active';
+
+// The first profile keeps the unprefixed keys, so data from before profiles existed stays with it
+export const DEFAULT_PROFILE_ID = 'default';
+
+export const AVATARS = ['😀', '😎', '🤖', '👾', '🐱', '🐼', '🦊', '🐸', '🦄', '🐙'];
+export const PROFILE_COLORS = ['#ff2dac', '#00eaff', '#fbbf24', '#10b981', '#8b5cf6', '#ef4444'];
+
+const defaultProfile = () => ({
+  id: DEFAULT_PROFILE_ID,
+  name: 'Player 1',
+  avatar: AVATARS[0],
+  color: PROFILE_COLORS[0],
+});
+
+let activeProfileId = null;
+
+async function readProfiles() {
+  const value = await AsyncStorage.getItem(PROFILES_KEY);
+  const profiles = value ? JSON.parse(value) : [];
+  return profiles.length ? profiles : [defaultProfile()];
+}
+
+/**
+ * Id of the profile currently playing, cached after the first read
+ */
+export async function getActiveProfileId() {
+  if (activeProfileId === null) {
+    try {
+      activeProfileId = (await AsyncStorage.getItem(ACTIVE_PROFILE_KEY)) || DEFAULT_PROFILE_ID;
+    } catch (error) {
+      console.error('Failed to load active profile:', error);
+      return DEFAULT_PROFILE_ID;
+    }
+  }
+  return activeProfileId;
+}
+
+/**
+ * Storage key scoped to the active profile
+ */
+export async function profileKey(key) {
+  const id = await getActiveProfileId();
+  return id === DEFAULT_PROFILE_ID ? key : `profile:${id}:${key}`;
+}
+
+export class ProfileManager {
+  async getProfiles() {
+    try {
+      return await readProfiles();
+    } catch (error) {
+      console.error('Failed to load profiles:', error);
+      return [defaultProfile()];
+    }
+  }
+
+  async getActiveProfile() {
+    const [profiles, id] = await Promise.all([this.getProfiles(), getActiveProfileId()]);
+    return profiles.find(profile => profile.id === id) || profiles[0];
+  }
+
+  async setActiveProfile(id) {
+    activeProfileId = id;
+    await AsyncStorage.setItem(ACTIVE_PROFILE_KEY, id);
+  }
+
+  /**
+   * @param {Object} profile
+   * @param {string} profile.name
+   * @param {string} profile.avatar one of AVATARS
+   * @param {string} profile.color one of PROFILE_COLORS
+   * @returns {Promise<Object>} the stored profile with its id
+   */
+  async createProfile({ name, avatar = AVATARS[0], color = PROFILE_COLORS[0] }) {
+    const trimmed = name.trim();
+    if (!trimmed) throw new Error('Profile name cannot be empty');
+    const profiles = await this.getProfiles();
+    const profile = { id: `p${Date.now().toString(36)}`, name: trimmed, avatar, color };
+    await AsyncStorage.setItem(PROFILES_KEY, JSON.stringify([...profiles, profile]));
+    return profile;
+  }
+
+  async updateProfile(id, changes) {
+    const profiles = await this.getProfiles();
+    const updated = profiles.map(profile => (profile.id === id ? { ...profile, ...changes, id } : profile));
+    await AsyncStorage.setItem(PROFILES_KEY, JSON.stringify(updated));
+  }
+
+  /**
+   * Delete a profile and everything stored under it. The default profile can't be removed.
+   */
+  async removeProfile(id) {
+    if (id === DEFAULT_PROFILE_ID) return false;
+    const profiles = await this.getProfiles();
+    await AsyncStorage.setItem(PROFILES_KEY, JSON.stringify(profiles.filter(profile => profile.id !== id)));
+    const keys = (await AsyncStorage.getAllKeys()).filter(key => key.startsWith(`profile:${id}:`));
+    if (keys.length) await AsyncStorage.multiRemove(keys);
+    if ((await getActiveProfileId()) === id) await this.setActiveProfile(DEFAULT_PROFILE_ID);
+    return true;
+  }
+
+  /**
+   * Settings of the active profile for one game
+   */
+  async getSettings(gameId, defaults = {}) {
+    try {
+      const value = await AsyncStorage.getItem(await profileKey(`settings:${gameId}`));
+      return value ? { ...defaults, ...JSON.parse(value) } : defaults;
+    } catch (error) {
+      console.error('Failed to load settings:', error);
+      return defaults;
+    }
+  }
+
+  async saveSettings(gameId, settings) {
+    try {
+      await AsyncStorage.setItem(await profileKey(`settings:${gameId}`), JSON.stringify(settings));
+      return true;
+    } catch (error) {
+      console.error('Failed to save settings:', error);
+      return false;
+    }
+  }
+}
@@ -0,0 +1,250 @@
+import React, { useState } from 'react';
+import { Modal, Pressable, ScrollView, StyleSheet, Text, TextInput, View } from 'react-native';
+import { useProfile } from '../context/ProfileProvider';
+import { AVATARS, DEFAULT_PROFILE_ID, PROFILE_COLORS } from './ProfileManager';
+
+/**
+ * Modal to switch between local players or add a new one
+ */
+const ProfilePicker = ({ visible, onClose }) => {
+  const { profile, profiles, selectProfile, createProfile, removeProfile } = useProfile();
+  const [name, setName] = useState('');
+  const [avatar, setAvatar] = useState(AVATARS[0]);
+  const [color, setColor] = useState(PROFILE_COLORS[0]);
+  // Profile waiting on "Delete?", since removing one wipes its scores, saves and settings for good
+  const [confirmingId, setConfirmingId] = useState(null);
+
+  const handleSelect = async (id) => {
+    await selectProfile(id);
+    onClose();
+  };
+
+  const handleClose = () => {
+    setConfirmingId(null);
+    onClose();
+  };
+
+  const handleRemove = async (id) => {
+    setConfirmingId(null);
+    await removeProfile(id);
+  };
+
+  const handleCreate = async () => {
+    if (!name.trim()) return;
+    await createProfile({ name, avatar, color });
+    setName('');
+    onClose();
+  };
+
+  return (
+    <Modal visible={visible} transparent animationType="fade" onRequestClose={handleClose}>
+      <View style={styles.overlay}>
+        <View style={styles.panel}>
+          <Text style={styles.title}>Who&apos;s playing?</Text>
+
+          <ScrollView style={styles.list}>
+            {profiles.map(item => (
+              <View key={item.id} style={styles.profileRow}>
+                <Pressable
+                  onPress={() => handleSelect(item.id)}
+                  style={[
+                    styles.profileButton,
+                    { borderColor: item.color },
+                    profile?.id === item.id && { backgroundColor: 'rgba(255, 255, 255, 0.15)' },
+                  ]}
+                >
+                  <Text style={styles.avatar}>{item.avatar}</Text>
+                  <Text style={[styles.profileName, { color: item.color }]}>{item.name}</Text>
+                </Pressable>
+                {item.id !== DEFAULT_PROFILE_ID && confirmingId !== item.id && (
+                  <Pressable onPress={() => setConfirmingId(item.id)} style={styles.removeButton}>
+                    <Text style={styles.removeText}>✕</Text>
+                  </Pressable>
+                )}
+                {confirmingId === item.id && (
+                  <View style={styles.confirmRow}>
+                    <Text style={styles.confirmText}>Delete?</Text>
+                    <Pressable onPress={() => handleRemove(item.id)} style={styles.confirmButton}>
+                      <Text style={styles.removeText}>Yes</Text>
+                    </Pressable>
+                    <Pressable onPress={() => setConfirmingId(null)} style={styles.confirmButton}>
+                      <Text style={styles.keepText}>No</Text>
+                    </Pressable>
+                  </View>
+                )}
+              </View>
+            ))}
+          </ScrollView>
+
+          <Text style={styles.subtitle}>New player</Text>
+          <TextInput
+            value={name}
+            onChangeText={setName}
+            placeholder="Name"
+            placeholderTextColor="#888"
+            maxLength={20}
+            style={[styles.input, { borderColor: color }]}
+          />
+          <View style={styles.choiceRow}>
+            {AVATARS.map(item => (
+              <Pressable key={item} onPress={() => setAvatar(item)} style={[styles.choice, avatar === item && styles.choiceActive]}>
+                <Text style={styles.avatar}>{item}</Text>
+              </Pressable>
+            ))}
+          </View>
+          <View style={styles.choiceRow}>
+            {PROFILE_COLORS.map(item => (
+              <Pressable
+                key={item}
+                onPress={() => setColor(item)}
+                style={[styles.swatch, { backgroundColor: item }, color === item && styles.choiceActive]}
+              />
+            ))}
+          </View>
+
+          <View style={styles.actions}>
+            <Pressable onPress={handleClose} style={styles.actionButton}>
+              <Text style={styles.actionText}>Close</Text>
+            </Pressable>
+            <Pressable onPress={handleCreate} style={[styles.actionButton, !name.trim() && styles.disabled]}>
+              <Text style={styles.actionText}>Add player</Text>
+            </Pressable>
+          </View>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.75)',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  panel: {
+    width: '90%',
+    maxWidth: 400,
+    maxHeight: '85%',
+    backgroundColor: '#12022b',
+    borderRadius: 16,
+    borderWidth: 2,
+    borderColor: '#624da0',
+    padding: 20,
+  },
+  title: {
+    fontSize: 22,
+    fontWeight: 'bold',
+    color: '#fff',
+    textAlign: 'center',
+    marginBottom: 12,
+  },
+  subtitle: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#fff',
+    marginTop: 12,
+    marginBottom: 8,
+  },
+  list: {
+    maxHeight: 200,
+  },
+  profileRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 8,
+    gap: 8,
+  },
+  profileButton: {
+    flex: 1,
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 10,
+    padding: 10,
+    borderWidth: 2,
+    borderRadius: 10,
+  },
+  profileName: {
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  avatar: {
+    fontSize: 20,
+  },
+  removeButton: {
+    padding: 8,
+  },
+  removeText: {
+    color: '#ef4444',
+    fontSize: 18,
+    fontWeight: 'bold',
+  },
+  confirmRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 4,
+  },
+  confirmText: {
+    color: '#fff',
+    fontSize: 14,
+  },
+  confirmButton: {
+    paddingVertical: 8,
+    paddingHorizontal: 6,
+  },
+  keepText: {
+    color: '#fff',
+    fontSize: 18,
+    fontWeight: 'bold',
+  },
+  input: {
+    borderWidth: 2,
+    borderRadius: 8,
+    color: '#fff',
+    paddingHorizontal: 10,
+    paddingVertical: 8,
+    marginBottom: 10,
+  },
+  choiceRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 6,
+    marginBottom: 10,
+  },
+  choice: {
+    padding: 4,
+    borderRadius: 8,
+    borderWidth: 2,
+    borderColor: 'transparent',
+  },
+  choiceActive: {
+    borderColor: '#fff',
+    borderWidth: 2,
+  },
+  swatch: {
+    width: 28,
+    height: 28,
+    borderRadius: 14,
+  },
+  actions: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginTop: 8,
+  },
+  actionButton: {
+    backgroundColor: '#624da0',
+    paddingVertical: 10,
+    paddingHorizontal: 20,
+    borderRadius: 10,
+  },
+  actionText: {
+    color: '#fff',
+    fontWeight: 'bold',
+  },
+  disabled: {
+    opacity: 0.5,
+  },
+});
+
+export default ProfilePicker;
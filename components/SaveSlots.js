@@ -0,0 +1,62 @@
+// SaveSlots.js - numbered save slots for in-progress games, stored as JSON per profile
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { profileKey } from './ProfileManager';
+
+export class SaveSlots {
+  #namespace;
+
+  /**
+   * @param {string} namespace game name, e.g. '2048'
+   * @param {number} slotCount how many slots the game offers
+   */
+  constructor(namespace, slotCount = 3) {
+    this.#namespace = namespace;
+    this.slotCount = slotCount;
+  }
+
+  /**
+   * Storage key of a slot under the active profile
+   */
+  async key(slot) {
+    return profileKey(`save:${this.#namespace}:${slot}`);
+  }
+
+  async save(slot, data) {
+    try {
+      await AsyncStorage.setItem(await this.key(slot), JSON.stringify({ ...data, savedAt: Date.now() }));
+      return true;
+    } catch (error) {
+      console.error('Failed to save game:', error);
+      return false;
+    }
+  }
+
+  async load(slot) {
+    try {
+      const value = await AsyncStorage.getItem(await this.key(slot));
+      return value ? JSON.parse(value) : null;
+    } catch (error) {
+      console.error('Failed to load game:', error);
+      return null;
+    }
+  }
+
+  async clear(slot) {
+    try {
+      await AsyncStorage.removeItem(await this.key(slot));
+      return true;
+    } catch (error) {
+      console.error('Failed to clear save:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Every slot with its save (or null when empty)
+   */
+  async list() {
+    const slots = Array.from({ length: this.slotCount }, (_, i) => i + 1);
+    const saves = await Promise.all(slots.map(slot => this.load(slot)));
+    return slots.map((slot, i) => ({ slot, save: saves[i] }));
+  }
+}
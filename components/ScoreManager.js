@@ -0,0 +1,240 @@
+// ScoreManager.js - shared score and stats storage for every game, namespaced per game id
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { profileKey } from './ProfileManager';
+
+const KEY_PREFIX = 'scores:';
+const MIGRATED_KEY = 'scores:migrated';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Keys the games used before this module existed
+const LEGACY_KEYS = {
+  HIGH_SCORE: '2048-4x4',
+  highScore: 'blockoduko',
+  tetrisHighScore: 'tetris',
+  snake_high_score: 'snake',
+};
+const LEGACY_BINGO_PREFIX = 'bingo-score:';
+const LEGACY_FLAPPY_KEY = 'flappyHighScore';
+
+const emptyStats = () => ({
+  best: 0,
+  leaderboard: [],
+  gamesPlayed: 0,
+  totalScore: 0,
+  totalPlaytime: 0,
+  winStreak: 0,
+  bestWinStreak: 0,
+  dayStreak: 0,
+  bestDayStreak: 0,
+  lastPlayedDay: null,
+  totals: {},
+  maxima: {},
+});
+
+// Local calendar day number, so a streak follows the player's midnight
+const dayNumber = (timestamp) =>
+  Math.floor((timestamp - new Date(timestamp).getTimezoneOffset() * 60000) / DAY_MS);
+
+// One promise chain per storage key so overlapping read-modify-writes can't lose updates
+const queues = new Map();
+function enqueue(key, task) {
+  const run = (queues.get(key) || Promise.resolve()).then(task, task);
+  queues.set(key, run.catch(() => {}));
+  return run;
+}
+
+async function readStats(key) {
+  const value = await AsyncStorage.getItem(key);
+  if (!value) return emptyStats();
+  try {
+    return { ...emptyStats(), ...JSON.parse(value) };
+  } catch (error) {
+    // A damaged entry starts over rather than blocking every later score
+    console.error('Failed to read scores:', error);
+    return emptyStats();
+  }
+}
+
+let migration = null;
+
+/**
+ * Move every legacy high score key into the shared format, once per install.
+ * Old scores go to the default profile.
+ */
+export function migrateLegacyScores() {
+  if (!migration) {
+    migration = (async () => {
+      try {
+        if (await AsyncStorage.getItem(MIGRATED_KEY)) return;
+        const allKeys = await AsyncStorage.getAllKeys();
+        const legacy = allKeys.filter(key =>
+          key in LEGACY_KEYS || key.startsWith(LEGACY_BINGO_PREFIX)
+        );
+        const values = legacy.length ? await AsyncStorage.multiGet(legacy) : [];
+
+        const merged = {};
+        const statsFor = async (gameId) => {
+          if (!merged[gameId]) merged[gameId] = await readStats(KEY_PREFIX + gameId);
+          return merged[gameId];
+        };
+
+        for (const [key, value] of values) {
+          if (value === null) continue;
+          if (key.startsWith(LEGACY_BINGO_PREFIX)) {
+            const entry = JSON.parse(value);
+            const stats = await statsFor('bingo');
+            stats.leaderboard.push({ timestamp: Number(key.slice(LEGACY_BINGO_PREFIX.length)), ...entry });
+            stats.best = Math.max(stats.best, entry.score || 0);
+            stats.gamesPlayed++;
+          } else {
+            const stats = await statsFor(LEGACY_KEYS[key]);
+            stats.best = Math.max(stats.best, parseInt(value, 10) || 0);
+          }
+        }
+
+        try {
+          const flappy = typeof localStorage !== 'undefined' && localStorage.getItem(LEGACY_FLAPPY_KEY);
+          if (flappy) {
+            const stats = await statsFor('flappybird');
+            stats.best = Math.max(stats.best, parseInt(flappy, 10) || 0);
+            localStorage.removeItem(LEGACY_FLAPPY_KEY);
+          }
+        } catch {
+          // localStorage only exists on web
+        }
+
+        await AsyncStorage.multiSet(
+          Object.entries(merged).map(([gameId, stats]) => {
+            stats.leaderboard.sort((a, b) => b.score - a.score);
+            return [KEY_PREFIX + gameId, JSON.stringify(stats)];
+          })
+        );
+        if (legacy.length) await AsyncStorage.multiRemove(legacy);
+        await AsyncStorage.setItem(MIGRATED_KEY, String(Date.now()));
+      } catch (error) {
+        console.error('Failed to migrate old scores:', error);
+        migration = null;
+      }
+    })();
+  }
+  return migration;
+}
+
+export class ScoreManager {
+  #gameId;
+
+  /**
+   * @param {string} gameId namespace for this game's scores, e.g. 'snake' or '2048-4x4'
+   * @param {Object} options
+   * @param {number} options.topN leaderboard entries kept
+   * @param {string[]} options.totals result fields summed over every game, e.g. lines cleared
+   * @param {string[]} options.maxima result fields whose best value is kept, e.g. biggest combo
+   */
+  constructor(gameId, { topN = 10, totals = [], maxima = [] } = {}) {
+    this.#gameId = gameId;
+    this.topN = topN;
+    this.totals = totals;
+    this.maxima = maxima;
+  }
+
+  get gameId() {
+    return this.#gameId;
+  }
+
+  /**
+   * Storage key for this game under the active profile
+   */
+  async key() {
+    return profileKey(KEY_PREFIX + this.#gameId);
+  }
+
+  async getStats() {
+    await migrateLegacyScores();
+    try {
+      return await readStats(await this.key());
+    } catch (error) {
+      console.error('Failed to load scores:', error);
+      return emptyStats();
+    }
+  }
+
+  async getHighScore() {
+    return (await this.getStats()).best;
+  }
+
+  async getLeaderboard(limit = this.topN) {
+    return (await this.getStats()).leaderboard.slice(0, limit);
+  }
+
+  /**
+   * Raise the stored best while a game is still running
+   * @returns {Promise<number>} the best score after the update
+   */
+  async submitScore(score) {
+    return this.#update(stats => {
+      stats.best = Math.max(stats.best, score);
+    }).then(stats => stats.best);
+  }
+
+  /**
+   * Record a finished game
+   * @param {Object} result
+   * @param {number} result.score final score
+   * @param {number} result.duration milliseconds played
+   * @param {boolean|null} result.won for games with a win condition; drives the win streak
+   * @returns {Promise<Object>} updated stats
+   */
+  async recordGame({ score, duration = 0, won = null, ...details }) {
+    const timestamp = Date.now();
+    return this.#update(stats => {
+      stats.best = Math.max(stats.best, score);
+      stats.gamesPlayed++;
+      stats.totalScore += score;
+      stats.totalPlaytime += Math.max(0, Math.round(duration));
+
+      for (const field of this.totals) {
+        stats.totals[field] = (stats.totals[field] || 0) + (details[field] || 0);
+      }
+      for (const field of this.maxima) {
+        stats.maxima[field] = Math.max(stats.maxima[field] || 0, details[field] || 0);
+      }
+
+      stats.leaderboard.push({ score, timestamp, ...details });
+      stats.leaderboard.sort((a, b) => b.score - a.score);
+      stats.leaderboard = stats.leaderboard.slice(0, this.topN);
+
+      if (won !== null) {
+        stats.winStreak = won ? stats.winStreak + 1 : 0;
+        stats.bestWinStreak = Math.max(stats.bestWinStreak, stats.winStreak);
+      }
+
+      const today = dayNumber(timestamp);
+      if (stats.lastPlayedDay !== today) {
+        stats.dayStreak = stats.lastPlayedDay === today - 1 ? stats.dayStreak + 1 : 1;
+        stats.lastPlayedDay = today;
+      }
+      stats.bestDayStreak = Math.max(stats.bestDayStreak, stats.dayStreak);
+    });
+  }
+
+  async reset() {
+    await migrateLegacyScores();
+    const key = await this.key();
+    return enqueue(key, () => AsyncStorage.removeItem(key));
+  }
+
+  async #update(change) {
+    await migrateLegacyScores();
+    const key = await this.key();
+    return enqueue(key, async () => {
+      const stats = await readStats(key);
+      change(stats);
+      try {
+        await AsyncStorage.setItem(key, JSON.stringify(stats));
+      } catch (error) {
+        console.error('Failed to save scores:', error);
+      }
+      return stats;
+    });
+  }
+}
@@ -0,0 +1,59 @@
+// SeededRandom.js - small deterministic PRNG (mulberry32) shared by the games
+
+/**
+ * Hash any seed (number or string) down to a 32 bit integer
+ */
+function hashSeed(seed) {
+  const text = String(seed);
+  let h = 2166136261;
+  for (let i = 0; i < text.length; i++) {
+    h ^= text.charCodeAt(i);
+    h = Math.imul(h, 16777619);
+  }
+  return h >>> 0;
+}
+
+export class SeededRandom {
+  constructor(seed = Date.now()) {
+    this.seed = seed;
+    this.state = hashSeed(seed);
+  }
+
+  /**
+   * Next float in [0, 1), same contract as Math.random()
+   */
+  next() {
+    this.state = (this.state + 0x6d2b79f5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  /**
+   * Integer in [0, max)
+   */
+  nextInt(max) {
+    return Math.floor(this.next() * max);
+  }
+
+  /**
+   * Internal state, enough to resume the exact same sequence later
+   */
+  getState() {
+    return this.state;
+  }
+
+  setState(state) {
+    this.state = state >>> 0;
+  }
+}
+
+/**
+ * Seed shared by everyone playing on the same calendar day (local time)
+ */
+export function dailySeed(date = new Date()) {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+}
@@ -0,0 +1,85 @@
+// SwipeInput.js - swipe gestures and arrow/WASD keys mapped to 'up' | 'down' | 'left' | 'right'
+import React, { useEffect, useRef } from 'react';
+import { Platform } from 'react-native';
+import { Gesture, GestureDetector } from 'react-native-gesture-handler';
+
+export const ARROW_KEYS = {
+  ArrowUp: 'up',
+  ArrowDown: 'down',
+  ArrowLeft: 'left',
+  ArrowRight: 'right',
+};
+
+export const WASD_KEYS = {
+  w: 'up',
+  s: 'down',
+  a: 'left',
+  d: 'right',
+};
+
+const KEY_DIRECTIONS = { ...ARROW_KEYS, ...WASD_KEYS };
+
+/**
+ * Turn the end of a pan into a direction.
+ * A swipe counts when it travelled far enough, or was a quick flick that
+ * still moved a little. The dominant axis wins.
+ * @returns {string|null}
+ */
+export function swipeDirection(
+  { translationX, translationY, velocityX, velocityY },
+  { minDistance = 30, minVelocity = 400, minFlickDistance = 10 } = {}
+) {
+  const horizontal = Math.abs(translationX) >= Math.abs(translationY);
+  const distance = horizontal ? translationX : translationY;
+  const velocity = horizontal ? velocityX : velocityY;
+
+  const farEnough = Math.abs(distance) >= minDistance;
+  const flicked = Math.abs(velocity) >= minVelocity && Math.abs(distance) >= minFlickDistance;
+  if (!farEnough && !flicked) return null;
+
+  if (horizontal) return distance > 0 ? 'right' : 'left';
+  return distance > 0 ? 'down' : 'up';
+}
+
+/**
+ * Wraps children in a pan gesture that reports swipe directions.
+ * onSwipe also gets where the swipe started, relative to the area, for split-screen controls.
+ */
+export function SwipeArea({ onSwipe, enabled = true, thresholds, children }) {
+  const onSwipeRef = useRef(onSwipe);
+  onSwipeRef.current = onSwipe;
+
+  const pan = Gesture.Pan()
+    .enabled(enabled)
+    .runOnJS(true)
+    .onEnd((event) => {
+      const direction = swipeDirection(event, thresholds);
+      if (direction) {
+        onSwipeRef.current(direction, { x: event.x - event.translationX, y: event.y - event.translationY });
+      }
+    });
+
+  return <GestureDetector gesture={pan}>{children}</GestureDetector>;
+}
+
+/**
+ * On web, listen for arrow keys and WASD (same approach as DinoGameManager).
+ * Pass ARROW_KEYS or WASD_KEYS as `keys` to split the keyboard between two players.
+ */
+export function useKeyboardDirections(onDirection, enabled = true, keys = KEY_DIRECTIONS) {
+  const onDirectionRef = useRef(onDirection);
+  onDirectionRef.current = onDirection;
+
+  useEffect(() => {
+    if (Platform.OS !== 'web' || !enabled) return;
+    const handleKeyPress = (e) => {
+      const direction = keys[e.key] || keys[e.key.toLowerCase()];
+      if (direction) {
+        e.preventDefault();
+        onDirectionRef.current(direction);
+      }
+    };
+    window.addEventListener('keydown', handleKeyPress);
+    return () => window.removeEventListener('keydown', handleKeyPress);
+  }, [enabled, keys]);
+}
@@ -0,0 +1,293 @@
+// Board.js - bingo cards: 5x5 B-I-N-G-O cards with a free centre, and 3x9 UK tickets
+import { SeededRandom } from '../SeededRandom';
+import { DEFAULT_VARIANT, VARIANTS, columnRange } from './Variants';
+import { lineShapes } from './Patterns';
+
+// Stands in for a number while laying out columns
+const FREE = 'free';
+
+/**
+ * `count` different numbers from lo..hi
+ */
+function pickNumbers(rng, lo, hi, count) {
+  const pool = Array.from({ length: hi - lo + 1 }, (_, i) => lo + i);
+  for (let i = 0; i < count; i++) {
+    const j = i + rng.nextInt(pool.length - i);
+    [pool[i], pool[j]] = [pool[j], pool[i]];
+  }
+  return pool.slice(0, count);
+}
+
+// ==================== ENCAPSULATION ====================
+export class BingoCell {
+  #number;
+  #isMarked;
+  #isFree;
+
+  /**
+   * @param {number|null} number null for the free centre and for the blank squares of a 90-ball ticket
+   * @param {Object} options
+   * @param {boolean} options.free the free centre, daubed from the start
+   */
+  constructor(number, { free = false } = {}) {
+    this.#number = number;
+    this.#isFree = free;
+    this.#isMarked = free;
+  }
+
+  getNumber() {
+    return this.#number;
+  }
+
+  isFree() {
+    return this.#isFree;
+  }
+
+  isBlank() {
+    return this.#number === null && !this.#isFree;
+  }
+
+  isMarked() {
+    return this.#isMarked;
+  }
+
+  // Counts towards a pattern: daubed, free, or a blank square that can never be called
+  isCovered() {
+    return this.#isMarked || this.isBlank();
+  }
+
+  // False when it was already daubed
+  mark() {
+    if (this.#isMarked) return false;
+    this.#isMarked = true;
+    return true;
+  }
+
+  reset() {
+    this.#isMarked = this.#isFree;
+  }
+}
+
+// ==================== ABSTRACTION ====================
+export class GameBoard {
+  constructor(rows, cols = rows) {
+    if (this.constructor === GameBoard) {
+      throw new Error("Cannot instantiate abstract class GameBoard");
+    }
+    this.rows = rows;
+    this.cols = cols;
+    this.board = [];
+    this.numbers = [];
+  }
+
+  generateBoard() {
+    throw new Error("Method 'generateBoard()' must be implemented in subclass");
+  }
+
+  checkWin() {
+    throw new Error("Method 'checkWin()' must be implemented in subclass");
+  }
+
+  resetBoard() {
+    this.board.forEach(row => {
+      row.forEach(cell => cell.reset());
+    });
+  }
+}
+
+// ==================== INHERITANCE ====================
+export class BingoBoard extends GameBoard {
+  /**
+   * @param {string} variant one of VARIANTS
+   * @param {Object} options
+   * @param {number|string} options.seed same seed, same card
+   */
+  constructor(variant = DEFAULT_VARIANT, { seed = Date.now() } = {}) {
+    const spec = VARIANTS[variant];
+    super(spec.rows, spec.cols);
+    this.variant = spec;
+    this.seed = seed;
+    this.winPatterns = this.#initializeWinPatterns();
+    this.completedLines = 0;
+    this.generateBoard();
+  }
+
+  // Lines earn bonus time whatever pattern the round is played for
+  #initializeWinPatterns() {
+    return lineShapes(this.rows, this.cols);
+  }
+
+  generateBoard() {
+    const rng = new SeededRandom(this.seed);
+    const columns = this.variant.perRow ? this.#ticketColumns(rng) : this.#cardColumns(rng);
+
+    this.board = [];
+    for (let i = 0; i < this.rows; i++) {
+      const row = [];
+      for (let j = 0; j < this.cols; j++) {
+        const number = columns[j][i];
+        row.push(number === FREE ? new BingoCell(null, { free: true }) : new BingoCell(number));
+      }
+      this.board.push(row);
+    }
+
+    // Every number on the card, lowest first
+    this.numbers = columns.flat().filter(n => typeof n === 'number').sort((a, b) => a - b);
+  }
+
+  // 75-ball: five numbers from each letter's range, with the free square in the middle
+  #cardColumns(rng) {
+    const middle = Math.floor(this.rows / 2);
+    return Array.from({ length: this.cols }, (_, col) => {
+      const [lo, hi] = columnRange(this.variant, col);
+      const numbers = pickNumbers(rng, lo, hi, this.rows);
+      if (this.variant.freeCentre && col === Math.floor(this.cols / 2)) numbers[middle] = FREE;
+      return numbers;
+    });
+  }
+
+  /**
+   * 90-ball: fifteen numbers, five on each row, at least one in every column,
+   * each column sorted top to bottom
+   */
+  #ticketColumns(rng) {
+    const { perRow } = this.variant;
+    const capacity = Array.from({ length: this.cols }, (_, col) => {
+      const [lo, hi] = columnRange(this.variant, col);
+      return Math.min(this.rows, hi - lo + 1);
+    });
+
+    const counts = Array(this.cols).fill(1);
+    for (let extra = this.rows * perRow - this.cols; extra > 0;) {
+      const col = rng.nextInt(this.cols);
+      if (counts[col] < capacity[col]) {
+        counts[col]++;
+        extra--;
+      }
+    }
+
+    // Fullest columns first, each going into the rows that still need the most numbers;
+    // this always ends with exactly perRow numbers on every row
+    const need = Array(this.rows).fill(perRow);
+    const columns = Array.from({ length: this.cols }, () => Array(this.rows).fill(null));
+    const byCount = counts
+      .map((count, col) => ({ count, col, tie: rng.next() }))
+      .sort((a, b) => b.count - a.count || a.tie - b.tie);
+
+    for (const { count, col } of byCount) {
+      const rows = need
+        .map((left, row) => ({ left, row, tie: rng.next() }))
+        .sort((a, b) => b.left - a.left || a.tie - b.tie)
+        .slice(0, count)
+        .map(({ row }) => row)
+        .sort((a, b) => a - b);
+      const [lo, hi] = columnRange(this.variant, col);
+      const numbers = pickNumbers(rng, lo, hi, count).sort((a, b) => a - b);
+      rows.forEach((row, i) => {
+        columns[col][row] = numbers[i];
+        need[row]--;
+      });
+    }
+    return columns;
+  }
+
+  #isComplete(shape) {
+    return shape.every(([row, col]) => this.board[row][col].isCovered());
+  }
+
+  /**
+   * First of the patterns this card has hit, and the shape that completed it
+   * @param {Array<{id: string, name: string, shapes: Array}>} patterns see Patterns.js
+   * @returns {{pattern: Object, shape: Array<[number, number]>}|null}
+   */
+  findMatch(patterns) {
+    for (const pattern of patterns) {
+      const shape = pattern.shapes.find(candidate => this.#isComplete(candidate));
+      if (shape) return { pattern, shape };
+    }
+    return null;
+  }
+
+  findPattern(patterns) {
+    return this.findMatch(patterns)?.pattern || null;
+  }
+
+  /**
+   * @param {Array} patterns patterns that win; the whole card when left out
+   */
+  checkWin(patterns) {
+    if (!patterns) return this.board.every(row => row.every(cell => cell.isCovered()));
+    return this.findPattern(patterns) !== null;
+  }
+
+  checkNewLine() {
+    let currentLines = 0;
+
+    this.winPatterns.forEach((pattern) => {
+      if (this.#isComplete(pattern)) {
+        currentLines++;
+      }
+    });
+
+    if (currentLines > this.completedLines) {
+      this.completedLines = currentLines;
+      return true;
+    }
+    return false;
+  }
+
+  markCell(number) {
+    for (let i = 0; i < this.rows; i++) {
+      for (let j = 0; j < this.cols; j++) {
+        const cell = this.board[i][j];
+        if (cell.getNumber() === number) {
+          return cell.mark();
+        }
+      }
+    }
+    return false;
+  }
+
+  getCell(row, col) {
+    return this.board[row][col];
+  }
+}
+
+// ==================== POLYMORPHISM ====================
+export class TimedBingoBoard extends BingoBoard {
+  constructor(variant, difficulty, options) {
+    super(variant, options);
+    this.difficulty = difficulty;
+    this.callInterval = this.#getCallInterval();
+  }
+
+  #getCallInterval() {
+    switch (this.difficulty) {
+      case 'easy':
+        return 3000;
+      case 'medium':
+        return 2500;
+      case 'hard':
+        return 2000;
+      default:
+        return 3000;
+    }
+  }
+
+  getCallInterval() {
+    return this.callInterval;
+  }
+
+  getBonusTime() {
+    switch (this.difficulty) {
+      case 'easy':
+        return 15;
+      case 'medium':
+        return 12;
+      case 'hard':
+        return 10;
+      default:
+        return 10;
+    }
+  }
+}
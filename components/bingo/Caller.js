@@ -0,0 +1,53 @@
+// Caller.js - draws every ball of the pool once, in a seeded order
+import { SeededRandom } from '../SeededRandom';
+
+export class BingoCaller {
+  #pool;
+  #called;
+
+  /**
+   * @param {Object} options
+   * @param {number} options.balls size of the pool, 75 or 90
+   * @param {number|string} options.seed same seed, same order of calls
+   */
+  constructor({ balls = 75, seed = Date.now() } = {}) {
+    this.balls = balls;
+    this.seed = seed;
+    const rng = new SeededRandom(seed);
+    this.#pool = Array.from({ length: balls }, (_, i) => i + 1);
+    for (let i = this.#pool.length - 1; i > 0; i--) {
+      const j = rng.nextInt(i + 1);
+      [this.#pool[i], this.#pool[j]] = [this.#pool[j], this.#pool[i]];
+    }
+    this.#called = [];
+  }
+
+  /**
+   * Draw the next ball
+   * @returns {number|null} null once every ball has been called
+   */
+  next() {
+    if (this.#called.length === this.#pool.length) return null;
+    const number = this.#pool[this.#called.length];
+    this.#called.push(number);
+    return number;
+  }
+
+  // Most recent call, or null before the first
+  get last() {
+    return this.#called.length ? this.#called[this.#called.length - 1] : null;
+  }
+
+  // Every call so far, oldest first
+  get called() {
+    return [...this.#called];
+  }
+
+  get remaining() {
+    return this.#pool.length - this.#called.length;
+  }
+
+  hasCalled(number) {
+    return this.#called.includes(number);
+  }
+}
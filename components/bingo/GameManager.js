@@ -0,0 +1,219 @@
+// GameManager.js - one round of Speedy Bingo: card, caller, clock and score
+import { TimedBingoBoard } from './Board';
+import { BingoCaller } from './Caller';
+import { DEFAULT_VARIANT, VARIANTS } from './Variants';
+import { defaultPatternFor, patternsFor } from './Patterns';
+import { DaubScorer } from './Scoring';
+
+// How many cards a player can run at once
+export const CARD_COUNTS = [1, 2, 4, 6];
+
+// Letting the game daub is worth less than even the slowest manual daub (see Scoring.js)
+const AUTO_DAUB_POINTS = 4;
+
+export class GameManager {
+  #boards;
+  #caller;
+  #patterns;
+  #scorer;
+  #match;
+  #timeRemaining;
+  #score;
+  #linesCompleted;
+
+  /**
+   * @param {string} difficulty 'easy' | 'medium' | 'hard', sets the call speed and bonus time
+   * @param {Object} options
+   * @param {string} options.variant '75' or '90'
+   * @param {Array<string>} options.patterns ids of the patterns that win this round (see patternsFor)
+   * @param {Array} options.customPatterns patterns drawn in the editor, so their ids can be picked
+   * @param {number} options.cards how many cards to play, one of CARD_COUNTS
+   * @param {boolean} options.autoDaub daub every call on every card as it comes out
+   * @param {number|string} options.seed seeds the cards and the order of calls
+   */
+  constructor(difficulty = 'medium', {
+    variant = DEFAULT_VARIANT,
+    patterns,
+    customPatterns = [],
+    cards = 1,
+    autoDaub = false,
+    seed = Date.now(),
+  } = {}) {
+    this.difficulty = difficulty;
+    this.variant = VARIANTS[variant];
+    this.autoDaub = autoDaub;
+    const available = patternsFor(variant, customPatterns);
+    const active = available.filter(pattern => (patterns || []).includes(pattern.id));
+    // Ids that don't exist here (another variant's, or a deleted pattern) fall back to the default
+    this.#patterns = active.length ? active : available.filter(pattern => pattern.id === defaultPatternFor(variant));
+    // The first card keeps the single-card seed, so one-card rounds replay as before
+    this.#boards = Array.from({ length: cards }, (_, i) =>
+      new TimedBingoBoard(variant, difficulty, { seed: i === 0 ? `${seed}-card` : `${seed}-card-${i}` })
+    );
+    this.#caller = new BingoCaller({ balls: this.variant.balls, seed: `${seed}-calls` });
+    // A daub within one call interval still beats the minimum
+    this.#scorer = new DaubScorer(this.#boards[0].getCallInterval());
+    this.#match = null;
+    this.#timeRemaining = this.variant.roundTime;
+    this.#score = 0;
+    this.#linesCompleted = 0;
+  }
+
+  getBoard(card = 0) {
+    return this.#boards[card];
+  }
+
+  getBoards() {
+    return this.#boards;
+  }
+
+  getCaller() {
+    return this.#caller;
+  }
+
+  getPatterns() {
+    return this.#patterns;
+  }
+
+  // The pattern that won the round, once it has been hit
+  getWinningPattern() {
+    return this.#match ? this.#match.pattern : null;
+  }
+
+  // Cells of the shape that won, to pick out on the card
+  getWinningCells() {
+    return this.#match ? this.#match.shape : [];
+  }
+
+  // Index of the card that won
+  getWinningCard() {
+    return this.#match ? this.#match.card : null;
+  }
+
+  getCurrentNumber() {
+    return this.#caller.last;
+  }
+
+  getTimeRemaining() {
+    return this.#timeRemaining;
+  }
+
+  getScore() {
+    return this.#score;
+  }
+
+  getLinesCompleted() {
+    return this.#linesCompleted;
+  }
+
+  decrementTime() {
+    this.#timeRemaining--;
+    return this.#timeRemaining;
+  }
+
+  addBonusTime() {
+    const bonus = this.#boards[0].getBonusTime();
+    this.#timeRemaining += bonus;
+    return bonus;
+  }
+
+  getCallInterval() {
+    return this.#boards[0].getCallInterval();
+  }
+
+  /**
+   * Draw the next ball from the full pool, daubing it straight away in auto-daub mode
+   * @param {number} now when the call is made, for reaction times
+   * @returns {number|null} null once every ball has been called
+   */
+  callNextNumber(now = Date.now()) {
+    const number = this.#caller.next();
+    if (number === null) return null;
+
+    this.#scorer.call(number, now);
+    if (this.autoDaub) {
+      this.#boards.forEach((_, card) => this.#daub(number, card, AUTO_DAUB_POINTS));
+    }
+    return number;
+  }
+
+  /**
+   * Daub a number on one card. Anything called so far can be daubed, not just the latest call,
+   * but the sooner after its call the more it scores. Tapping a number that hasn't been called
+   * costs a penalty.
+   * @param {number} number
+   * @param {number} card index into getBoards()
+   * @param {number} now when the tap happened
+   */
+  markNumber(number, card = 0, now = Date.now()) {
+    if (!this.#boards[card]) return { success: false };
+    if (!this.#caller.hasCalled(number)) {
+      const penalty = Math.min(this.#score, this.#scorer.wrongTap());
+      this.#score -= penalty;
+      return { success: false, penalty };
+    }
+    const position = this.#find(number, card);
+    if (!position || this.#boards[card].getCell(...position).isMarked()) return { success: false };
+    return this.#daub(number, card, this.#scorer.daub(number, now));
+  }
+
+  // [row, col] of a number on one card
+  #find(number, card) {
+    const { board } = this.#boards[card];
+    for (let row = 0; row < board.length; row++) {
+      const col = board[row].findIndex(cell => cell.getNumber() === number);
+      if (col !== -1) return [row, col];
+    }
+    return null;
+  }
+
+  /**
+   * Accuracy, mean reaction time and missed calls so far; see DaubScorer.report
+   */
+  getReport() {
+    const missedCalls = this.#caller.called.reduce((missed, number) =>
+      missed + this.#boards.filter((_, card) => {
+        const position = this.#find(number, card);
+        return position && !this.#boards[card].getCell(...position).isMarked();
+      }).length, 0);
+    return this.#scorer.report(missedCalls);
+  }
+
+  #daub(number, card, points) {
+    const board = this.#boards[card];
+    if (!board.markCell(number)) return { success: false };
+
+    this.#score += points;
+    if (!this.#match) {
+      const match = board.findMatch(this.#patterns);
+      if (match) this.#match = { ...match, card };
+    }
+
+    // Each card counts its own lines
+    if (board.checkNewLine()) {
+      this.#linesCompleted++;
+      const bonus = this.addBonusTime();
+      return {
+        success: true,
+        lineCompleted: true,
+        bonusTime: bonus,
+        pattern: this.getWinningPattern(),
+        points,
+      };
+    }
+
+    return { success: true, pattern: this.getWinningPattern(), points };
+  }
+
+  checkGameStatus() {
+    if (this.#match) {
+      return { status: 'won', pattern: this.#match.pattern };
+    }
+
+    if (this.#timeRemaining <= 0) {
+      return { status: 'lost' };
+    }
+
+    return { status: 'playing' };
+  }
+}
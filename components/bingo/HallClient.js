@@ -0,0 +1,135 @@
+// HallClient.js - talks to the bingo hall server (backend/bingo-hall): lobby, rooms, calls and claims
+
+export const DEFAULT_HALL_PORT = 8080;
+export const DEFAULT_HALL_URL = `ws://localhost:${DEFAULT_HALL_PORT}`;
+
+/**
+ * One player's connection to a hall. Messages are JSON objects with a `type`;
+ * listen for them with on(type, handler):
+ *   rooms    { rooms: [{ code, host, players, started, variant }] }
+ *   joined   { room, playerId, host, variant, patterns, players }
+ *   players  { players: [{ id, name, host }] }
+ *   started  { seed, callInterval }                the seed lays out this player's card
+ *   call     { number, count }
+ *   rejected { reason }                            a claim that didn't stand up
+ *   winner   { playerId, name, pattern, cells }
+ *   finished {}                                    every ball called without a winner
+ *   error    { message }
+ */
+export class HallClient {
+  #url;
+  #WebSocket;
+  #socket = null;
+  #handlers = new Map();
+
+  /**
+   * @param {string} url ws:// address of the hall
+   * @param {Object} options
+   * @param {Function} options.WebSocket implementation to use outside React Native, e.g. the ws package
+   */
+  constructor(url = DEFAULT_HALL_URL, { WebSocket = globalThis.WebSocket } = {}) {
+    this.#url = url;
+    this.#WebSocket = WebSocket;
+  }
+
+  get connected() {
+    return this.#socket !== null && this.#socket.readyState === 1;
+  }
+
+  /**
+   * Open the connection
+   * @returns {Promise<void>} rejects if the hall can't be reached
+   */
+  connect() {
+    return new Promise((resolve, reject) => {
+      const socket = new this.#WebSocket(this.#url);
+      socket.onopen = () => {
+        this.#socket = socket;
+        resolve();
+      };
+      socket.onerror = () => {
+        if (this.#socket !== socket) reject(new Error(`Can't reach the hall at ${this.#url}`));
+      };
+      socket.onclose = () => {
+        if (this.#socket !== socket) return;
+        this.#socket = null;
+        this.#emit({ type: 'closed' });
+      };
+      socket.onmessage = event => {
+        let message;
+        try {
+          message = JSON.parse(event.data);
+        } catch {
+          message = null;
+        }
+        // Shown like any other hall error rather than dropped
+        if (!message || typeof message.type !== 'string') {
+          this.#emit({ type: 'error', message: 'The hall sent a message this app could not read' });
+          return;
+        }
+        this.#emit(message);
+      };
+    });
+  }
+
+  /**
+   * @param {string} type a message type, or 'closed' when the connection drops
+   * @param {Function} handler called with the whole message
+   * @returns {Function} stops listening
+   */
+  on(type, handler) {
+    if (!this.#handlers.has(type)) this.#handlers.set(type, new Set());
+    this.#handlers.get(type).add(handler);
+    return () => this.#handlers.get(type).delete(handler);
+  }
+
+  #emit(message) {
+    this.#handlers.get(message.type)?.forEach(handler => handler(message));
+  }
+
+  #send(message) {
+    if (!this.connected) return false;
+    this.#socket.send(JSON.stringify(message));
+    return true;
+  }
+
+  listRooms() {
+    return this.#send({ type: 'rooms' });
+  }
+
+  /**
+   * Open a new room and join it as host
+   * @param {string} name
+   * @param {Object} options
+   * @param {string} options.variant '75' or '90'
+   * @param {Array<string>} options.patterns ids of built-in patterns that win
+   */
+  createRoom(name, { variant, patterns } = {}) {
+    return this.#send({ type: 'create', name, variant, patterns });
+  }
+
+  joinRoom(room, name) {
+    return this.#send({ type: 'join', room, name });
+  }
+
+  // Host only: deal cards and start calling
+  start() {
+    return this.#send({ type: 'start' });
+  }
+
+  // Shout BINGO! The hall checks the caller's numbers against this player's card
+  claim() {
+    return this.#send({ type: 'claim' });
+  }
+
+  leaveRoom() {
+    return this.#send({ type: 'leave' });
+  }
+
+  close() {
+    const socket = this.#socket;
+    this.#socket = null;
+    socket?.close();
+    this.#handlers.clear();
+  }
+}
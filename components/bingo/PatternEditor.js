@@ -0,0 +1,266 @@
+import React, { useState } from 'react';
+import { Modal, Pressable, ScrollView, StyleSheet, Text, TextInput, View } from 'react-native';
+import { CUSTOM_PATTERN_VARIANTS, customPattern, validatePattern } from './Patterns';
+import { VARIANTS } from './Variants';
+
+const CARD = VARIANTS[CUSTOM_PATTERN_VARIANTS[0]];
+const CENTRE = `${Math.floor(CARD.rows / 2)},${Math.floor(CARD.cols / 2)}`;
+
+const cellKey = (row, col) => `${row},${col}`;
+
+/**
+ * Small read-only drawing of a pattern's first shape
+ */
+export const PatternPreview = ({ pattern, rows = CARD.rows, cols = CARD.cols, size = 10 }) => {
+  const filled = new Set((pattern?.shapes[0] || []).map(([r, c]) => cellKey(r, c)));
+  return (
+    <View style={styles.preview}>
+      {Array.from({ length: rows }, (_, r) => (
+        <View key={r} style={styles.previewRow}>
+          {Array.from({ length: cols }, (_, c) => (
+            <View
+              key={c}
+              style={[styles.previewCell, { width: size, height: size }, filled.has(cellKey(r, c)) && styles.previewFilled]}
+            />
+          ))}
+        </View>
+      ))}
+    </View>
+  );
+};
+
+/**
+ * Modal to draw a winning pattern on a 5x5 card and manage the ones already saved
+ * @param {Array} patterns every pattern on offer, so names stay unique and custom ones can be removed
+ * @param {Function} onSave called with the new pattern
+ * @param {Function} onRemove called with a custom pattern's id
+ */
+const PatternEditor = ({ visible, onClose, patterns, onSave, onRemove }) => {
+  const [name, setName] = useState('');
+  const [cells, setCells] = useState(() => new Set([CENTRE]));
+  const [error, setError] = useState(null);
+
+  const toggle = (row, col) => {
+    const key = cellKey(row, col);
+    // The free centre is always covered, so it is always part of the drawing
+    if (key === CENTRE) return;
+    const next = new Set(cells);
+    if (next.has(key)) next.delete(key);
+    else next.add(key);
+    setCells(next);
+    setError(null);
+  };
+
+  const handleSave = () => {
+    const drawn = [...cells].map(key => key.split(',').map(Number));
+    const problem = validatePattern(name, drawn, patterns);
+    if (problem) {
+      setError(problem);
+      return;
+    }
+    onSave(customPattern(name, drawn));
+    setName('');
+    setCells(new Set([CENTRE]));
+  };
+
+  const saved = patterns.filter(pattern => pattern.custom);
+
+  return (
+    <Modal visible={visible} transparent animationType="fade" onRequestClose={onClose}>
+      <View style={styles.overlay}>
+        <View style={styles.panel}>
+          <Text style={styles.title}>Draw a pattern</Text>
+
+          <View style={styles.grid}>
+            {Array.from({ length: CARD.rows }, (_, r) => (
+              <View key={r} style={styles.gridRow}>
+                {Array.from({ length: CARD.cols }, (_, c) => {
+                  const key = cellKey(r, c);
+                  return (
+                    <Pressable
+                      key={c}
+                      onPress={() => toggle(r, c)}
+                      style={[styles.gridCell, cells.has(key) && styles.gridCellOn]}
+                    >
+                      {key === CENTRE && <Text style={styles.freeText}>FREE</Text>}
+                    </Pressable>
+                  );
+                })}
+              </View>
+            ))}
+          </View>
+
+          <TextInput
+            value={name}
+            onChangeText={text => {
+              setName(text);
+              setError(null);
+            }}
+            placeholder="Pattern name"
+            placeholderTextColor="#888"
+            maxLength={20}
+            style={styles.input}
+          />
+          {error && <Text style={styles.error}>{error}</Text>}
+
+          {saved.length > 0 && (
+            <>
+              <Text style={styles.subtitle}>Your patterns</Text>
+              <ScrollView style={styles.list}>
+                {saved.map(item => (
+                  <View key={item.id} style={styles.patternRow}>
+                    <PatternPreview pattern={item} size={8} />
+                    <Text style={styles.patternName}>{item.name}</Text>
+                    <Pressable onPress={() => onRemove(item.id)} style={styles.removeButton}>
+                      <Text style={styles.removeText}>✕</Text>
+                    </Pressable>
+                  </View>
+                ))}
+              </ScrollView>
+            </>
+          )}
+
+          <View style={styles.actions}>
+            <Pressable onPress={onClose} style={styles.actionButton}>
+              <Text style={styles.actionText}>Close</Text>
+            </Pressable>
+            <Pressable onPress={handleSave} style={styles.actionButton}>
+              <Text style={styles.actionText}>Save pattern</Text>
+            </Pressable>
+          </View>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.75)',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  panel: {
+    width: '90%',
+    maxWidth: 400,
+    maxHeight: '85%',
+    backgroundColor: '#12022b',
+    borderRadius: 16,
+    borderWidth: 2,
+    borderColor: '#624da0',
+    padding: 20,
+  },
+  title: {
+    fontSize: 22,
+    fontWeight: 'bold',
+    color: '#fff',
+    textAlign: 'center',
+    marginBottom: 12,
+  },
+  subtitle: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#fff',
+    marginTop: 4,
+    marginBottom: 8,
+  },
+  grid: {
+    alignSelf: 'center',
+    marginBottom: 12,
+  },
+  gridRow: {
+    flexDirection: 'row',
+  },
+  gridCell: {
+    width: 44,
+    height: 44,
+    margin: 2,
+    borderRadius: 6,
+    borderWidth: 2,
+    borderColor: '#2a3f5f',
+    backgroundColor: '#1a1f3a',
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  gridCellOn: {
+    backgroundColor: '#ff2dac',
+    borderColor: '#fff',
+  },
+  freeText: {
+    color: '#fff',
+    fontSize: 10,
+    fontWeight: 'bold',
+  },
+  input: {
+    borderWidth: 2,
+    borderColor: '#624da0',
+    borderRadius: 8,
+    color: '#fff',
+    paddingHorizontal: 10,
+    paddingVertical: 8,
+    marginBottom: 6,
+  },
+  error: {
+    color: '#ef4444',
+    fontSize: 13,
+    marginBottom: 6,
+  },
+  list: {
+    maxHeight: 160,
+  },
+  patternRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 10,
+    marginBottom: 8,
+  },
+  patternName: {
+    flex: 1,
+    color: '#fff',
+    fontSize: 15,
+    fontWeight: 'bold',
+  },
+  removeButton: {
+    padding: 8,
+  },
+  removeText: {
+    color: '#ef4444',
+    fontSize: 18,
+    fontWeight: 'bold',
+  },
+  actions: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginTop: 8,
+  },
+  actionButton: {
+    backgroundColor: '#624da0',
+    paddingVertical: 10,
+    paddingHorizontal: 20,
+    borderRadius: 10,
+  },
+  actionText: {
+    color: '#fff',
+    fontSize: 15,
+    fontWeight: 'bold',
+  },
+  preview: {
+    padding: 2,
+    borderRadius: 4,
+    backgroundColor: 'rgba(255, 255, 255, 0.08)',
+  },
+  previewRow: {
+    flexDirection: 'row',
+  },
+  previewCell: {
+    margin: 1,
+    borderRadius: 2,
+    backgroundColor: '#2a3f5f',
+  },
+  previewFilled: {
+    backgroundColor: '#ff2dac',
+  },
+});
+
+export default PatternEditor;
@@ -0,0 +1,49 @@
+// PatternStore.js - bingo patterns drawn in the editor, kept per profile
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { profileKey } from '../ProfileManager';
+
+export class PatternStore {
+  async key() {
+    return profileKey('bingo:patterns');
+  }
+
+  /**
+   * Saved patterns, oldest first
+   */
+  async list() {
+    try {
+      const value = await AsyncStorage.getItem(await this.key());
+      return value ? JSON.parse(value) : [];
+    } catch (error) {
+      console.error('Failed to load bingo patterns:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Add a pattern, or replace the one with the same id
+   * @returns {Array} the saved patterns afterwards
+   */
+  async save(pattern) {
+    try {
+      const patterns = (await this.list()).filter(item => item.id !== pattern.id);
+      patterns.push(pattern);
+      await AsyncStorage.setItem(await this.key(), JSON.stringify(patterns));
+      return patterns;
+    } catch (error) {
+      console.error('Failed to save bingo pattern:', error);
+      return this.list();
+    }
+  }
+
+  async remove(id) {
+    try {
+      const patterns = (await this.list()).filter(item => item.id !== id);
+      await AsyncStorage.setItem(await this.key(), JSON.stringify(patterns));
+      return patterns;
+    } catch (error) {
+      console.error('Failed to remove bingo pattern:', error);
+      return this.list();
+    }
+  }
+}
@@ -0,0 +1,137 @@
+// Patterns.js - what wins a round. A pattern is a list of shapes (lists of [row, col] cells);
+// it is hit when every cell of any one shape is daubed.
+import { VARIANTS } from './Variants';
+
+/**
+ * Complete rows; on square cards also columns and both diagonals
+ */
+export function lineShapes(rows, cols) {
+  const shapes = [];
+  for (let r = 0; r < rows; r++) {
+    shapes.push(Array.from({ length: cols }, (_, c) => [r, c]));
+  }
+  if (rows !== cols) return shapes;
+  for (let c = 0; c < cols; c++) {
+    shapes.push(Array.from({ length: rows }, (_, r) => [r, c]));
+  }
+  shapes.push(Array.from({ length: rows }, (_, i) => [i, i]));
+  shapes.push(Array.from({ length: rows }, (_, i) => [i, cols - 1 - i]));
+  return shapes;
+}
+
+// Every cell of the card
+function fullCard(rows, cols) {
+  return [Array.from({ length: rows * cols }, (_, i) => [Math.floor(i / cols), i % cols])];
+}
+
+// Both diagonals together, sharing the middle square
+function cross(rows, cols) {
+  const [down, up] = lineShapes(rows, cols).slice(-2);
+  return [[...down, ...up.filter(([r, c]) => r !== c)]];
+}
+
+function fourCorners(rows, cols) {
+  return [[[0, 0], [0, cols - 1], [rows - 1, 0], [rows - 1, cols - 1]]];
+}
+
+// Every cell on the edge of the card
+function pictureFrame(rows, cols) {
+  return fullCard(rows, cols).map(shape =>
+    shape.filter(([r, c]) => r === 0 || c === 0 || r === rows - 1 || c === cols - 1)
+  );
+}
+
+// Top row and the middle column
+function letterT(rows, cols) {
+  const middle = Math.floor(cols / 2);
+  return [[
+    ...Array.from({ length: cols }, (_, c) => [0, c]),
+    ...Array.from({ length: rows - 1 }, (_, r) => [r + 1, middle]),
+  ]];
+}
+
+// A 2x2 block in any corner
+function postageStamp(rows, cols) {
+  return [[0, 0], [0, cols - 2], [rows - 2, 0], [rows - 2, cols - 2]].map(([r, c]) => [
+    [r, c], [r, c + 1], [r + 1, c], [r + 1, c + 1],
+  ]);
+}
+
+// Any two rows together
+function twoRows(rows, cols) {
+  const shapes = [];
+  for (let a = 0; a < rows; a++) {
+    for (let b = a + 1; b < rows; b++) {
+      shapes.push([
+        ...Array.from({ length: cols }, (_, c) => [a, c]),
+        ...Array.from({ length: cols }, (_, c) => [b, c]),
+      ]);
+    }
+  }
+  return shapes;
+}
+
+const BUILT_IN = {
+  75: [
+    { id: 'line', name: 'Line', build: lineShapes },
+    { id: 'fourCorners', name: 'Four Corners', build: fourCorners },
+    { id: 'x', name: 'X', build: cross },
+    { id: 'pictureFrame', name: 'Picture Frame', build: pictureFrame },
+    { id: 't', name: 'T', build: letterT },
+    { id: 'postageStamp', name: 'Postage Stamp', build: postageStamp },
+    { id: 'blackout', name: 'Blackout', build: fullCard },
+  ],
+  90: [
+    { id: 'oneLine', name: 'One Line', build: lineShapes },
+    { id: 'twoLines', name: 'Two Lines', build: twoRows },
+    { id: 'fullHouse', name: 'Full House', build: fullCard },
+  ],
+};
+
+// Variants whose players can draw their own patterns (the editor is a 5x5 card)
+export const CUSTOM_PATTERN_VARIANTS = ['75'];
+
+/**
+ * Winning patterns a variant offers, with their shapes laid out for its card
+ * @param {string} variantId
+ * @param {Array} custom patterns saved from the editor, see customPattern()
+ * @returns {Array<{id: string, name: string, shapes: Array<Array<[number, number]>>, custom?: boolean}>}
+ */
+export function patternsFor(variantId, custom = []) {
+  const { rows, cols } = VARIANTS[variantId];
+  const builtIn = BUILT_IN[variantId].map(({ id, name, build }) => ({ id, name, shapes: build(rows, cols) }));
+  return CUSTOM_PATTERN_VARIANTS.includes(variantId) ? [...builtIn, ...custom] : builtIn;
+}
+
+/**
+ * A pattern drawn in the editor: one shape made of exactly the cells drawn
+ * @param {string} name
+ * @param {Array<[number, number]>} cells
+ */
+export function customPattern(name, cells, id = `custom-${Date.now()}`) {
+  return { id, name: name.trim(), shapes: [cells], custom: true };
+}
+
+/**
+ * Why a drawn pattern can't be saved, or null when it's fine
+ * @param {string} name
+ * @param {Array<[number, number]>} cells
+ * @param {Array} existing patterns it must not share a name with
+ */
+export function validatePattern(name, cells, existing = []) {
+  const { rows, cols, freeCentre } = VARIANTS[CUSTOM_PATTERN_VARIANTS[0]];
+  const centre = [Math.floor(rows / 2), Math.floor(cols / 2)];
+  const callable = cells.filter(([r, c]) => !(freeCentre && r === centre[0] && c === centre[1]));
+  if (!name.trim()) return 'Give the pattern a name';
+  if (existing.some(pattern => pattern.name.toLowerCase() === name.trim().toLowerCase())) {
+    return 'There is already a pattern with that name';
+  }
+  if (cells.some(([r, c]) => r < 0 || c < 0 || r >= rows || c >= cols)) return 'Pattern goes off the card';
+  if (callable.length === 0) return 'Draw at least one square besides FREE';
+  return null;
+}
+
+// The pattern a new round plays for unless another is picked
+export function defaultPatternFor(variantId) {
+  return BUILT_IN[variantId][0].id;
+}
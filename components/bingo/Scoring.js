@@ -0,0 +1,56 @@
+// Scoring.js - reaction-time points for daubs, a penalty for wrong taps, and the post-game report
+
+// A daub right on the call earns the most; anything later than the window earns the least
+export const MAX_DAUB_POINTS = 20;
+export const MIN_DAUB_POINTS = 5;
+export const WRONG_TAP_PENALTY = 5;
+
+export class DaubScorer {
+  #calledAt = new Map();
+  #reactions = [];
+  #wrongTaps = 0;
+
+  /**
+   * @param {number} window ms after a call over which its points fall from MAX to MIN
+   */
+  constructor(window) {
+    this.window = window;
+  }
+
+  call(number, now = Date.now()) {
+    this.#calledAt.set(number, now);
+  }
+
+  /**
+   * Points for daubing a called number, which also counts towards the mean reaction time
+   */
+  daub(number, now = Date.now()) {
+    const reaction = Math.max(0, now - this.#calledAt.get(number));
+    this.#reactions.push(reaction);
+    const speed = Math.max(0, 1 - reaction / this.window);
+    return MIN_DAUB_POINTS + Math.round((MAX_DAUB_POINTS - MIN_DAUB_POINTS) * speed);
+  }
+
+  // A tap on a number that hasn't been called; returns the points it costs
+  wrongTap() {
+    this.#wrongTaps++;
+    return WRONG_TAP_PENALTY;
+  }
+
+  /**
+   * @param {number} missedCalls called numbers left undaubed on the cards
+   * @returns {{daubs: number, wrongTaps: number, accuracy: number|null, meanReaction: number|null, missedCalls: number}}
+   *   accuracy is 0..1 and meanReaction in ms, both null before the first tap
+   */
+  report(missedCalls = 0) {
+    const daubs = this.#reactions.length;
+    const taps = daubs + this.#wrongTaps;
+    return {
+      daubs,
+      wrongTaps: this.#wrongTaps,
+      accuracy: taps ? daubs / taps : null,
+      meanReaction: daubs ? Math.round(this.#reactions.reduce((sum, ms) => sum + ms, 0) / daubs) : null,
+      missedCalls,
+    };
+  }
+}
@@ -0,0 +1,47 @@
+// Variants.js - 75-ball (US) and 90-ball (UK) bingo: card shape, ball pool and round length
+
+/**
+ * rows/cols: card size. perRow: numbers on each row of a 90-ball ticket, the rest are blank.
+ * roundTime: seconds on the clock at the start of a Speedy Bingo round.
+ */
+export const VARIANTS = {
+  75: {
+    id: '75',
+    label: '75-ball',
+    balls: 75,
+    rows: 5,
+    cols: 5,
+    letters: ['B', 'I', 'N', 'G', 'O'],
+    freeCentre: true,
+    roundTime: 150,
+  },
+  90: {
+    id: '90',
+    label: '90-ball',
+    balls: 90,
+    rows: 3,
+    cols: 9,
+    perRow: 5,
+    roundTime: 180,
+  },
+};
+
+export const DEFAULT_VARIANT = '75';
+
+/**
+ * Lowest and highest number a column may hold: 15 per letter on 75-ball;
+ * tens on 90-ball, with 1-9 in the first column and 80-90 in the last
+ * @returns {[number, number]}
+ */
+export function columnRange(variant, col) {
+  if (variant.letters) return [col * 15 + 1, col * 15 + 15];
+  return [col === 0 ? 1 : col * 10, col === variant.cols - 1 ? variant.balls : col * 10 + 9];
+}
+
+/**
+ * How the caller announces a ball: "B 12" on 75-ball, just the number on 90-ball
+ */
+export function callName(variant, number) {
+  if (!variant.letters) return String(number);
+  return `${variant.letters[Math.floor((number - 1) / 15)]} ${number}`;
+}
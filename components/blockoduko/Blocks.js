@@ -0,0 +1,122 @@
+// Blocks.js - Blockoduko shapes and the seeded tray generator
+import { SeededRandom } from '../SeededRandom';
+import { canAnyBlockBePlaced } from './Grid';
+
+export const BLOCK_SHAPES = {
+  Dot: [[1]],
+  Square2x2: [[1, 1], [1, 1]],
+  Small_L_d_r: [[1, 0], [1, 0], [1, 1]],
+  Small_L_d_l: [[0, 1], [0, 1], [1, 1]],
+  Small_L_u_r: [[1, 1], [1, 0], [1, 0]],
+  Small_L_u_l: [[1, 1], [0, 1], [0, 1]],
+  Line_3_v: [[1], [1], [1]],
+  Line_3_h: [[1, 1, 1]],
+  Line_4_v: [[1], [1], [1], [1]],
+  Line_4_h: [[1, 1, 1, 1]],
+  Line_5_v: [[1], [1], [1], [1], [1]],
+  Line_5_h: [[1, 1, 1, 1, 1]],
+  Corner1: [[1, 1], [1, 0]],
+  Corner2: [[1, 1], [0, 1]],
+  Corner3: [[1, 0], [1, 1]],
+  Corner4: [[0, 1], [1, 1]],
+  Square3x3: [[1, 1, 1], [1, 1, 1], [1, 1, 1]],
+  Large_L_d_r: [[1, 0, 0], [1, 0, 0], [1, 1, 1]],
+  Large_L_u_r: [[1, 1, 1], [1, 0, 0], [1, 0, 0]],
+  Large_L_d_l: [[0, 0, 1], [0, 0, 1], [1, 1, 1]],
+  Large_L_u_l: [[1, 1, 1], [0, 0, 1], [0, 0, 1]],
+  T_d: [[1, 1, 1], [0, 1, 0]],
+  T_u: [[0, 1, 0], [1, 1, 1]],
+  T_l: [[1, 0], [1, 1], [1, 0]],
+  T_r: [[0, 1], [1, 1], [0, 1]],
+};
+
+// Shapes grouped by how hard they are to fit; higher levels deal more of the hard ones
+export const SHAPE_DIFFICULTY = {
+  easy: ['Dot', 'Corner1', 'Corner2', 'Corner3', 'Corner4', 'Line_3_v', 'Line_3_h', 'Square2x2'],
+  medium: ['Small_L_d_r', 'Small_L_d_l', 'Small_L_u_r', 'Small_L_u_l', 'T_d', 'T_u', 'T_l', 'T_r', 'Line_4_v', 'Line_4_h'],
+  hard: ['Line_5_v', 'Line_5_h', 'Square3x3', 'Large_L_d_r', 'Large_L_u_r', 'Large_L_d_l', 'Large_L_u_l'],
+};
+export const MAX_LEVEL = 5;
+const BLOCK_COLORS = ["#ff5252", "#ff9800", "#ffeb3b", "#9c27b0"];
+
+export class Block{
+  constructor(shape,color,name){
+    this.shape = shape;
+    this.color=color;
+    this.name = name;
+  }
+
+  serialize() {
+    return { name: this.name, color: this.color };
+  }
+
+  static deserialize({ name, color }) {
+    return new Block(BLOCK_SHAPES[name], color, name);
+  }
+}
+
+export class BlockGenerator{
+  /**
+   * @param {Object} options
+   * @param {number|string} options.seed same seed and same placements deal the same trays
+   */
+  constructor({ seed = Date.now() } = {}) {
+    this.seed = seed;
+    this.rng = new SeededRandom(seed);
+  }
+
+  // Seed and position in the random sequence, so a resumed game keeps dealing the same trays
+  serialize() {
+    return { seed: this.seed, state: this.rng.getState() };
+  }
+
+  static deserialize({ seed, state }) {
+    const generator = new BlockGenerator({ seed });
+    generator.rng.setState(state);
+    return generator;
+  }
+
+  // Level 1 deals mostly easy shapes, MAX_LEVEL mostly hard ones
+  weightOf(name, level) {
+    const clamped = Math.max(1, Math.min(MAX_LEVEL, level));
+    if (SHAPE_DIFFICULTY.easy.includes(name)) return MAX_LEVEL + 1 - clamped;
+    if (SHAPE_DIFFICULTY.hard.includes(name)) return clamped;
+    return 3;
+  }
+
+  getRandomBlock(level = 1, names = Object.keys(BLOCK_SHAPES)) {
+    const weights = names.map(name => this.weightOf(name, level));
+    let roll = this.rng.next() * weights.reduce((sum, w) => sum + w, 0);
+    let index = 0;
+    while (roll >= weights[index] && index < names.length - 1) {
+      roll -= weights[index];
+      index++;
+    }
+    const name = names[index];
+    return new Block(BLOCK_SHAPES[name], BLOCK_COLORS[this.rng.nextInt(BLOCK_COLORS.length)], name);
+  }
+
+  /**
+   * Deal a tray of three blocks. One of them is always drawn from the shapes
+   * that still fit the grid, so a fresh tray is never dead on arrival.
+   * @param {Grid} grid board the tray is dealt for
+   * @param {number} level difficulty from 1 to MAX_LEVEL
+   */
+  getNewBlockSet(grid, level = 1) {
+    const fitting = Object.keys(BLOCK_SHAPES).filter(name =>
+      canAnyBlockBePlaced(grid, [new Block(BLOCK_SHAPES[name])])
+    );
+    const tray = [
+      fitting.length ? this.getRandomBlock(level, fitting) : this.getRandomBlock(level),
+      this.getRandomBlock(level),
+      this.getRandomBlock(level),
+    ];
+    const slot = this.rng.nextInt(tray.length);
+    [tray[0], tray[slot]] = [tray[slot], tray[0]];
+    return tray;
+  }
+}
+
+// Points needed for each step up in difficulty
+export const LEVEL_POINTS = 250;
+export const levelFor = (score) => Math.min(MAX_LEVEL, 1 + Math.floor(score / LEVEL_POINTS));
@@ -0,0 +1,164 @@
+// Grid.js - Blockoduko board: placement and clearing of rows, columns and 3x3 boxes
+export class Grid {
+  /**
+   * @param {number} size cells per side
+   * @param {Object} options
+   * @param {boolean} options.boxes whether full 3x3 boxes clear too (Blockudoku rules, 9x9 only)
+   */
+  constructor(size = 8, { boxes = size === 9 } = {}) {
+    this.size = size;
+    this.boxSize = boxes ? 3 : 0;
+    this.matrix = Array(size).fill(null).map(() => Array(size).fill(null));
+  }
+
+  get boxCount() {
+    return this.boxSize ? (this.size / this.boxSize) ** 2 : 0;
+  }
+
+  // Index of the 3x3 box a cell belongs to, counted left to right, top to bottom
+  boxOf(row, col) {
+    if (!this.boxSize) return -1;
+    const perRow = this.size / this.boxSize;
+    return Math.floor(row / this.boxSize) * perRow + Math.floor(col / this.boxSize);
+  }
+
+  boxCells(box) {
+    const perRow = this.size / this.boxSize;
+    const top = Math.floor(box / perRow) * this.boxSize;
+    const left = (box % perRow) * this.boxSize;
+    const cells = [];
+    for (let r = top; r < top + this.boxSize; r++) {
+      for (let c = left; c < left + this.boxSize; c++) {
+        cells.push([r, c]);
+      }
+    }
+    return cells;
+  }
+
+  // Cells are replaced, never mutated, so copying the rows is enough
+  clone() {
+    const newGrid = new Grid(this.size, { boxes: this.boxSize > 0 });
+    newGrid.matrix = this.matrix.map(row => [...row]);
+    return newGrid;
+  }
+
+  serialize() {
+    return { size: this.size, boxes: this.boxSize > 0, matrix: this.matrix };
+  }
+
+  static deserialize({ size, boxes, matrix }) {
+    const grid = new Grid(size, { boxes });
+    grid.matrix = matrix.map(row => [...row]);
+    return grid;
+  }
+
+  canPlaceBlock(block, startRow, startCol) {
+    for(let r = 0; r < block.shape.length; r++){
+      for(let c = 0; c < block.shape[r].length; c++){
+        if(block.shape[r][c] === 1){
+          const boardRow = startRow + r;
+          const boardCol = startCol + c;
+          if(
+            boardRow < 0 || boardCol < 0 ||
+            boardRow >= this.size || boardCol >= this.size ||
+            this.matrix[boardRow][boardCol] !== null
+          )
+            return false;
+        }
+      }
+    }
+    return true;
+  }
+
+  placeBlock(block, startRow, startCol){
+    for(let r = 0; r < block.shape.length; r++){
+      for(let c = 0; c < block.shape[r].length; c++){
+        if(block.shape[r][c] === 1){
+          this.matrix[startRow + r][startCol + c] = { filled: true, color: block.color };
+        }
+      }
+    }
+  }
+
+  // Undo placeBlock, for trying placements without copying the grid
+  removeBlock(block, startRow, startCol){
+    for(let r = 0; r < block.shape.length; r++){
+      for(let c = 0; c < block.shape[r].length; c++){
+        if(block.shape[r][c] === 1){
+          this.matrix[startRow + r][startCol + c] = null;
+        }
+      }
+    }
+  }
+
+  // Plain loops rather than every(): the solver calls this for each placement it tries
+  fullLines() {
+    const rows = [];
+    const cols = [];
+    const boxes = [];
+
+    for (let r = 0; r < this.size; r++) {
+      let full = true;
+      for (let c = 0; c < this.size && full; c++) full = this.matrix[r][c] !== null;
+      if (full) rows.push(r);
+    }
+
+    for (let c = 0; c < this.size; c++) {
+      let full = true;
+      for (let r = 0; r < this.size && full; r++) full = this.matrix[r][c] !== null;
+      if (full) cols.push(c);
+    }
+
+    for (let b = 0; b < this.boxCount; b++) {
+      if (this.boxCells(b).every(([r, c]) => this.matrix[r][c] !== null)) {
+        boxes.push(b);
+      }
+    }
+
+    return { rows, cols, boxes };
+  }
+
+  // Rows, columns and boxes that placing the block would complete, without touching this grid
+  linesCompletedBy(block, startRow, startCol) {
+    const preview = this.clone();
+    preview.placeBlock(block, startRow, startCol);
+    return preview.fullLines();
+  }
+
+  // Clears every full row, column and box at once, so a cell shared by two of them counts for both
+  clearFullLines() {
+    const { rows: rowsToClear, cols: colsToClear, boxes: boxesToClear } = this.fullLines();
+
+    for (const r of rowsToClear) {
+      this.matrix[r] = Array(this.size).fill(null);
+    }
+
+    for (const c of colsToClear) {
+      for (let r = 0; r < this.size; r++) {
+        this.matrix[r][c] = null;
+      }
+    }
+
+    for (const b of boxesToClear) {
+      for (const [r, c] of this.boxCells(b)) {
+        this.matrix[r][c] = null;
+      }
+    }
+
+    return { clearedRows: rowsToClear.length, clearedCols: colsToClear.length, clearedBoxes: boxesToClear.length };
+  }
+}
+
+export function canAnyBlockBePlaced(grid, blocks) {
+  for (const block of blocks) {
+    if (!block) continue;
+    for (let r = 0; r < grid.size; r++) {
+      for (let c = 0; c < grid.size; c++) {
+        if (grid.canPlaceBlock(block, r, c)) {
+          return true;
+        }
+      }
+    }
+  }
+  return false;
+}
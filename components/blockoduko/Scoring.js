@@ -0,0 +1,24 @@
+// Scoring.js - Blockoduko points for cells, combos and streaks
+export const SCORING = {
+  perCell: 1,
+  perClear: 18,
+  perStreak: 10,
+};
+
+/**
+ * Points for one placement.
+ * Every clear in the same placement is multiplied by how many clears there were (combo),
+ * and each placement in a row that clears something adds a growing streak bonus.
+ * @param {number} cells cells in the placed block
+ * @param {number} clears rows, columns and boxes cleared by it
+ * @param {number} streak clearing placements in a row before this one
+ * @returns {{points: number, combo: number, streak: number}}
+ */
+export function scorePlacement(cells, clears, streak) {
+  if (clears === 0) return { points: cells * SCORING.perCell, combo: 0, streak: 0 };
+  return {
+    points: cells * SCORING.perCell + SCORING.perClear * clears * clears + SCORING.perStreak * streak,
+    combo: clears,
+    streak: streak + 1,
+  };
+}
@@ -0,0 +1,234 @@
+// Solver.js - Blockoduko tray search, works on Grid directly so it runs headless
+import { Grid } from './Grid';
+import { BlockGenerator, levelFor } from './Blocks';
+import { scorePlacement } from './Scoring';
+
+// How much each part of a finished board is worth; openness keeps room for the next tray
+const DEFAULT_WEIGHTS = {
+  points: 1,
+  emptyCell: 2,
+  hole: -8,
+  edge: -1,
+  unplaced: -1000,
+};
+
+/**
+ * How open a board is: empty cells count for it, single-cell holes and
+ * ragged borders between empty and filled cells count against it
+ */
+export function openness(grid, weights = DEFAULT_WEIGHTS) {
+  const { size, matrix } = grid;
+  let empty = 0;
+  let holes = 0;
+  let edges = 0;
+
+  // Plain loops: this runs once for every sequence the solver tries
+  for (let r = 0; r < size; r++) {
+    for (let c = 0; c < size; c++) {
+      if (matrix[r][c] !== null) continue;
+      empty++;
+      let walls = 0;
+      if (r === 0 || matrix[r - 1][c] !== null) walls++;
+      if (r === size - 1 || matrix[r + 1][c] !== null) walls++;
+      if (c === 0 || matrix[r][c - 1] !== null) walls++;
+      if (c === size - 1 || matrix[r][c + 1] !== null) walls++;
+      edges += walls;
+      if (walls === 4) holes++;
+    }
+  }
+  return empty * weights.emptyCell + holes * weights.hole + edges * weights.edge;
+}
+
+// Filled cells as one bitmask per row, for spotting boards reached by different orders
+function boardKey(grid) {
+  let key = '';
+  for (const row of grid.matrix) {
+    let mask = 0;
+    for (let c = 0; c < row.length; c++) {
+      if (row[c] !== null) mask |= 1 << c;
+    }
+    key += `${mask},`;
+  }
+  return key;
+}
+
+export class BlockSolver {
+  /**
+   * @param {Object} options
+   * @param {Object} options.weights overrides for DEFAULT_WEIGHTS
+   * @param {number} options.maxNodes boards the search may visit before settling for the best so far;
+   *   an empty 9x9 board with a full tray can take millions
+   */
+  constructor({ weights = {}, maxNodes = Infinity } = {}) {
+    this.weights = { ...DEFAULT_WEIGHTS, ...weights };
+    this.maxNodes = maxNodes;
+  }
+
+  /**
+   * Try every order and position of the tray and keep the best sequence
+   * @param {Grid} grid current board
+   * @param {Array} blocks blocks still in the tray
+   * @param {number} streak current clearing streak, so combos and streaks are scored like the game does
+   * @returns {{moves: Array<{block, row, col}>, points: number, clears: number, value: number, complete: boolean}|null}
+   *   null when no block fits anywhere; complete is false when maxNodes cut the search short
+   */
+  solve(grid, blocks, streak = 0) {
+    const seen = new Map();
+    let best = null;
+    let nodes = 0;
+
+    const evaluate = (board, remaining, points, clears, moves) => {
+      const value = points * this.weights.points
+        + openness(board, this.weights)
+        + remaining.length * this.weights.unplaced;
+      if (!best || value > best.value) best = { moves, points, clears, value };
+    };
+
+    const search = (board, remaining, streakSoFar, points, clears, moves) => {
+      // Out of budget: what has been placed so far still counts as a candidate
+      if (++nodes > this.maxNodes) {
+        if (moves.length > 0) evaluate(board, remaining, points, clears, moves);
+        return;
+      }
+      // Leaves are cheaper to score than to look up, so only branches are remembered
+      if (remaining.length === 0) {
+        evaluate(board, remaining, points, clears, moves);
+        return;
+      }
+      // Orders that reach the same board with the same blocks left share a future; keep the one that scored more
+      const key = `${remaining.map(block => block.name).sort().join(',')}|${streakSoFar}|${boardKey(board)}`;
+      if (seen.has(key) && seen.get(key) >= points) return;
+      seen.set(key, points);
+
+      const placements = [];
+      const tried = new Set();
+      remaining.forEach((block, index) => {
+        // Two identical shapes give the same boards in either order
+        if (tried.has(block.name)) return;
+        tried.add(block.name);
+        const height = block.shape.length;
+        const width = block.shape[0].length;
+        const cells = block.shape.flat().reduce((sum, cell) => sum + cell, 0);
+
+        for (let row = 0; row + height <= board.size; row++) {
+          for (let col = 0; col + width <= board.size; col++) {
+            if (board.canPlaceBlock(block, row, col)) placements.push({ block, index, row, col, cells });
+          }
+        }
+      });
+
+      // With a budget, the first placements looked at are the ones most likely to get finished:
+      // rank the opening moves by how good the board looks one placement ahead
+      if (moves.length === 0 && this.maxNodes !== Infinity) {
+        placements.forEach(placement => {
+          placement.rank = this.#place(board, placement, streakSoFar, (next, result) =>
+            result.points * this.weights.points + openness(next, this.weights)
+          );
+        });
+        placements.sort((a, b) => b.rank - a.rank);
+      }
+
+      for (const placement of placements) {
+        const rest = remaining.filter((_, i) => i !== placement.index);
+        const move = { block: placement.block, row: placement.row, col: placement.col };
+        this.#place(board, placement, streakSoFar, (next, result, cleared) =>
+          search(next, rest, result.streak, points + result.points, clears + cleared, [...moves, move])
+        );
+      }
+
+      if (placements.length === 0 && moves.length > 0) evaluate(board, remaining, points, clears, moves);
+    };
+
+    search(grid, blocks, streak, 0, 0, []);
+    if (best) best.complete = nodes <= this.maxNodes;
+    return best;
+  }
+
+  /**
+   * Put a block down, hand the resulting board to `visit`, then take it back off
+   * @returns whatever visit returns
+   */
+  #place(board, { block, row, col, cells }, streak, visit) {
+    // Most placements clear nothing, so try those in place and only copy the grid when lines clear
+    board.placeBlock(block, row, col);
+    const full = board.fullLines();
+    const cleared = full.rows.length + full.cols.length + full.boxes.length;
+    let next = board;
+    if (cleared > 0) {
+      next = board.clone();
+      next.clearFullLines();
+    }
+    const value = visit(next, scorePlacement(cells, cleared, streak), cleared);
+    board.removeBlock(block, row, col);
+    return value;
+  }
+
+  /**
+   * First placement of the best sequence, used for hints
+   * @returns {{block, row, col}|null}
+   */
+  bestMove(grid, blocks, streak = 0) {
+    const plan = this.solve(grid, blocks, streak);
+    return plan ? plan.moves[0] : null;
+  }
+}
+
+/**
+ * Let the solver play a game to the end without any UI, dealing trays the same way the screen does
+ * @returns {{score: number, placements: number, clears: number}}
+ */
+export function playGame(solver, { size = 8, seed = Date.now(), maxPlacements = Infinity } = {}) {
+  const generator = new BlockGenerator({ seed });
+  let grid = new Grid(size);
+  let tray = generator.getNewBlockSet(grid);
+  let score = 0;
+  let streak = 0;
+  let placements = 0;
+  let clears = 0;
+
+  while (placements < maxPlacements) {
+    const move = solver.bestMove(grid, tray, streak);
+    if (!move) break;
+    grid = grid.clone();
+    grid.placeBlock(move.block, move.row, move.col);
+    const cells = move.block.shape.flat().reduce((sum, cell) => sum + cell, 0);
+    const { clearedRows, clearedCols, clearedBoxes } = grid.clearFullLines();
+    const result = scorePlacement(cells, clearedRows + clearedCols + clearedBoxes, streak);
+    score += result.points;
+    streak = result.streak;
+    clears += clearedRows + clearedCols + clearedBoxes;
+    placements++;
+
+    tray = tray.filter(block => block !== move.block);
+    if (tray.length === 0) tray = generator.getNewBlockSet(grid, levelFor(score));
+  }
+  return { score, placements, clears };
+}
+
+/**
+ * Headless "bot plays N games" benchmark. Game i uses seed `${seed}-${i}`,
+ * so two runs with the same options play exactly the same games.
+ * An 8x8 game takes the bot about a second, so the default run is around a minute;
+ * `npm run blockoduko:benchmark` runs it from the command line.
+ * The bot survives far longer on 9x9, so cap those runs with maxPlacements.
+ * @returns {{games: number, averageScore: number, bestScore: number, worstScore: number,
+ *   averagePlacements: number, averageClears: number, msPerGame: number}}
+ */
+export function benchmark(solver = new BlockSolver(), { games = 50, size = 8, seed = 'benchmark', maxPlacements = Infinity } = {}) {
+  const started = Date.now();
+  const results = [];
+  for (let i = 0; i < games; i++) {
+    results.push(playGame(solver, { size, seed: `${seed}-${i}`, maxPlacements }));
+  }
+  const scores = results.map(result => result.score);
+  const average = (values) => values.reduce((sum, value) => sum + value, 0) / games;
+  return {
+    games,
+    averageScore: average(scores),
+    bestScore: Math.max(...scores),
+    worstScore: Math.min(...scores),
+    averagePlacements: average(results.map(result => result.placements)),
+    averageClears: average(results.map(result => result.clears)),
+    msPerGame: (Date.now() - started) / games,
+  };
+}
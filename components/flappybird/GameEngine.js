@@ -1,6 +1,7 @@
 // components/flappybird/GameEngine.js
-import { Bird } from '/Bird.js';
-import { Pipe } from '/Pipe.js';
+import { Bird } from './Bird';
+import { Pipe } from './Pipe';
+import { ScoreManager } from '../ScoreManager';
 
 export class GameEngine {
   constructor(canvas) {
@@ -11,7 +12,10 @@ export class GameEngine {
     this.isPlaying = false;
     this.gameOver = false;
     this.score = 0;
-    this.highScore = this.loadHighScore();
+    this.highScore = 0;
+    this.scoreManager = new ScoreManager('flappybird');
+    this.startTime = Date.now();
+    this.loadHighScore();
     
     // Game objects
     this.bird = new Bird(150, 250);  // ← Moved right (was 80)
@@ -34,6 +38,7 @@ export class GameEngine {
     this.score = 0;
     this.frameCount = 0;
     this.pipes = [];
+    this.startTime = Date.now();
     this.bird.reset(150, 250);  // ← Updated position
   }
 
@@ -222,30 +227,21 @@ export class GameEngine {
   }
 
   /**
-   * Load high score from localStorage
-   * @returns {number} High score
+   * Load high score from the shared score storage
    */
-  loadHighScore() {
-    try {
-      const saved = localStorage.getItem('flappyHighScore');
-      return saved ? parseInt(saved) : 0;
-    } catch (error) {
-      return 0;
-    }
+  async loadHighScore() {
+    const saved = await this.scoreManager.getHighScore();
+    this.highScore = Math.max(this.highScore, saved);
   }
 
   /**
-   * Update high score
+   * Update high score and record the finished game
    */
   updateHighScore() {
     if (this.score > this.highScore) {
       this.highScore = this.score;
-      try {
-        localStorage.setItem('flappyHighScore', this.highScore);
-      } catch (error) {
-        console.warn('Could not save high score');
-      }
     }
+    this.scoreManager.recordGame({ score: this.score, duration: Date.now() - this.startTime });
   }
 
   /**
@@ -0,0 +1,171 @@
+// CpuSnake.js - computer-controlled steering: A* towards the nearest food, with difficulty knobs
+import { GRID_SIZE } from './constants';
+
+/**
+ * lookahead: how many steps the path search explores before settling for the
+ * cell it found closest to food. mistakes: chance per tick of turning at random.
+ * checkSpace: refuse moves into pockets too small for the snake.
+ * avoidHeads: keep clear of cells another head could reach on the same tick.
+ */
+export const CPU_DIFFICULTIES = {
+  easy: { label: 'Easy', lookahead: 3, mistakes: 0.08, checkSpace: false, avoidHeads: false },
+  normal: { label: 'Normal', lookahead: 12, mistakes: 0.02, checkSpace: false, avoidHeads: true },
+  hard: { label: 'Hard', lookahead: Infinity, mistakes: 0, checkSpace: true, avoidHeads: true },
+};
+
+const DIRECTIONS = [
+  { x: 0, y: -1 },
+  { x: 1, y: 0 },
+  { x: 0, y: 1 },
+  { x: -1, y: 0 },
+];
+
+const cellKey = (x, y) => `${x},${y}`;
+
+export class CpuSnake {
+  #settings;
+  #random;
+
+  /**
+   * @param {string} difficulty one of CPU_DIFFICULTIES
+   * @param {function(): number} random
+   */
+  constructor(difficulty = 'normal', random = Math.random) {
+    this.difficulty = CPU_DIFFICULTIES[difficulty] ? difficulty : 'normal';
+    this.#settings = CPU_DIFFICULTIES[this.difficulty];
+    this.#random = random;
+  }
+
+  /**
+   * Pick the direction for the snake's next step
+   * @param {GameManager} game board to look at: walls, snakes and food
+   * @param {Snake} snake the snake being steered
+   * @returns {{x: number, y: number}}
+   */
+  chooseDirection(game, snake) {
+    const heading = snake.direction;
+    const forward = DIRECTIONS.filter(d => d.x !== -heading.x || d.y !== -heading.y);
+
+    if (this.#random() < this.#settings.mistakes) {
+      return forward[Math.floor(this.#random() * forward.length)];
+    }
+
+    const openMoves = (blocked) => forward.filter((d) => {
+      const cell = this.#step(game, snake.head, d);
+      return cell && !blocked.has(cellKey(cell.x, cell.y));
+    });
+    let blocked = this.#blockedCells(game, snake, this.#settings.avoidHeads);
+    let options = openMoves(blocked);
+    // Cornered next to another head: risking a head-on beats a certain crash
+    if (options.length === 0 && this.#settings.avoidHeads) {
+      blocked = this.#blockedCells(game, snake, false);
+      options = openMoves(blocked);
+    }
+    if (options.length === 0) return heading;
+
+    const planned = this.#findPath(game, snake.head, options, blocked);
+    if (!this.#settings.checkSpace) return planned || options[0];
+
+    // Follow the path only if the snake still fits where it leads; otherwise head for the most room
+    const roomFor = (d) => this.#room(game, this.#step(game, snake.head, d), blocked, snake.length);
+    if (planned && roomFor(planned) >= snake.length) return planned;
+    return options.reduce((best, d) => (roomFor(d) > roomFor(best) ? d : best));
+  }
+
+  // Neighbouring cell in a direction, or null off the edge of a board that doesn't wrap
+  #step(game, { x, y }, direction) {
+    let nx = x + direction.x;
+    let ny = y + direction.y;
+    if (game.wrap) {
+      nx = (nx + GRID_SIZE) % GRID_SIZE;
+      ny = (ny + GRID_SIZE) % GRID_SIZE;
+    }
+    if (nx < 0 || ny < 0 || nx >= GRID_SIZE || ny >= GRID_SIZE) return null;
+    return { x: nx, y: ny };
+  }
+
+  #blockedCells(game, snake, avoidHeads) {
+    const blocked = new Set();
+    game.walls.forEach(({ x, y }) => blocked.add(cellKey(x, y)));
+    game.snakes.forEach((other) => {
+      other.body.forEach(({ x, y }) => blocked.add(cellKey(x, y)));
+      if (other === snake || !avoidHeads) return;
+      DIRECTIONS.forEach((d) => {
+        const cell = this.#step(game, other.head, d);
+        if (cell) blocked.add(cellKey(cell.x, cell.y));
+      });
+    });
+    return blocked;
+  }
+
+  // Steps between two cells, counting the short way round on a wrapping board
+  #distance(game, a, b) {
+    let dx = Math.abs(a.x - b.x);
+    let dy = Math.abs(a.y - b.y);
+    if (game.wrap) {
+      dx = Math.min(dx, GRID_SIZE - dx);
+      dy = Math.min(dy, GRID_SIZE - dy);
+    }
+    return dx + dy;
+  }
+
+  /**
+   * A* from the head to the nearest food, limited to `lookahead` steps.
+   * When no food is within reach, aims for the explored cell closest to one.
+   * @returns {{x: number, y: number}|null} first step of the path
+   */
+  #findPath(game, head, options, blocked) {
+    const foods = game.foods;
+    if (foods.length === 0) return null;
+    const estimate = (cell) => Math.min(...foods.map(food => this.#distance(game, cell, food)));
+
+    const open = [];
+    const seen = new Set([cellKey(head.x, head.y)]);
+    options.forEach((first) => {
+      const cell = this.#step(game, head, first);
+      seen.add(cellKey(cell.x, cell.y));
+      open.push({ ...cell, first, cost: 1, score: 1 + estimate(cell) });
+    });
+
+    let closest = null;
+    while (open.length) {
+      let index = 0;
+      for (let i = 1; i < open.length; i++) {
+        if (open[i].score < open[index].score) index = i;
+      }
+      const [node] = open.splice(index, 1);
+      const remaining = node.score - node.cost;
+      if (remaining === 0) return node.first;
+      if (!closest || remaining < closest.score - closest.cost) closest = node;
+      if (node.cost >= this.#settings.lookahead) continue;
+
+      DIRECTIONS.forEach((d) => {
+        const cell = this.#step(game, node, d);
+        if (!cell) return;
+        const key = cellKey(cell.x, cell.y);
+        if (seen.has(key) || blocked.has(key)) return;
+        seen.add(key);
+        open.push({ ...cell, first: node.first, cost: node.cost + 1, score: node.cost + 1 + estimate(cell) });
+      });
+    }
+    return closest ? closest.first : null;
+  }
+
+  // Open cells reachable from a cell, counting no further than `enough`
+  #room(game, start, blocked, enough) {
+    const reached = new Set([cellKey(start.x, start.y)]);
+    const queue = [start];
+    while (queue.length && reached.size < enough) {
+      const cell = queue.shift();
+      DIRECTIONS.forEach((d) => {
+        const next = this.#step(game, cell, d);
+        if (!next) return;
+        const key = cellKey(next.x, next.y);
+        if (reached.has(key) || blocked.has(key)) return;
+        reached.add(key);
+        queue.push(next);
+      });
+    }
+    return reached.size;
+  }
+}
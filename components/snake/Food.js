@@ -0,0 +1,120 @@
+import { GameObject } from './GameObject';
+import { CELL_SIZE } from './constants';
+
+/**
+ * Everything the snake can eat. 'main' food is always on the board;
+ * 'extra' items turn up now and then and vanish when their lifetime (ms of game time) runs out.
+ * Add a type with registerFoodType().
+ */
+export const FOOD_TYPES = {
+  normal: { pool: 'main', weight: 80, points: 1, color: '#ef4444' },
+  special: { pool: 'main', weight: 20, points: 5, color: '#fbbf24', round: true },
+  bonus: { pool: 'extra', weight: 30, points: 15, color: '#22d3ee', round: true, lifetime: 5000 },
+  slowMotion: { pool: 'extra', weight: 15, points: 1, color: '#60a5fa', icon: '🐢', lifetime: 7000, effect: 'slowMotion' },
+  ghost: { pool: 'extra', weight: 15, points: 1, color: '#e2e8f0', icon: '👻', lifetime: 7000, effect: 'ghost' },
+  shrink: { pool: 'extra', weight: 20, points: 1, color: '#f472b6', icon: '💊', lifetime: 7000, effect: 'shrink' },
+  multiplier: { pool: 'extra', weight: 20, points: 1, color: '#a3e635', icon: '⭐', lifetime: 7000, effect: 'multiplier' },
+};
+
+/**
+ * What eating a power-up does. Every effect runs for its duration (ms of game time)
+ * and shows an indicator meanwhile; instant ones like shrink just show it briefly.
+ * Add an effect with registerEffect().
+ */
+export const EFFECTS = {
+  slowMotion: { label: 'Slow-mo', icon: '🐢', color: '#60a5fa', duration: 6000, speedFactor: 2 },
+  ghost: { label: 'Ghost', icon: '👻', color: '#e2e8f0', duration: 6000 },
+  shrink: { label: 'Shrunk', icon: '💊', color: '#f472b6', duration: 1500, segments: 3 },
+  multiplier: { label: 'Score x2', icon: '⭐', color: '#a3e635', duration: 8000, scoreFactor: 2 },
+};
+
+export function registerFoodType(type, definition) {
+  FOOD_TYPES[type] = { pool: 'extra', weight: 10, points: 1, ...definition };
+}
+
+export function registerEffect(id, definition) {
+  EFFECTS[id] = definition;
+}
+
+/**
+ * Pick a food type from a pool, weighted
+ */
+export function randomFoodType(pool, random = Math.random) {
+  const types = Object.keys(FOOD_TYPES).filter(type => FOOD_TYPES[type].pool === pool);
+  const total = types.reduce((sum, type) => sum + FOOD_TYPES[type].weight, 0);
+  let roll = random() * total;
+  for (const type of types) {
+    roll -= FOOD_TYPES[type].weight;
+    if (roll < 0) return type;
+  }
+  return types[types.length - 1];
+}
+
+export class Food extends GameObject {
+  #type;
+  #spawnedAt;
+
+  /**
+   * @param {number} x
+   * @param {number} y
+   * @param {string} type key of FOOD_TYPES
+   * @param {number} spawnedAt game time it appeared, for items with a lifetime
+   */
+  constructor(x, y, type = 'normal', spawnedAt = 0) {
+    super(x, y);
+    this.#type = type;
+    this.#spawnedAt = spawnedAt;
+  }
+
+  get type() {
+    return this.#type;
+  }
+
+  get definition() {
+    return FOOD_TYPES[this.#type];
+  }
+
+  get points() {
+    return this.definition.points;
+  }
+
+  get color() {
+    return this.definition.color;
+  }
+
+  get expiresAt() {
+    return this.definition.lifetime ? this.#spawnedAt + this.definition.lifetime : Infinity;
+  }
+
+  isExpired(now) {
+    return now >= this.expiresAt;
+  }
+
+  render(now = 0) {
+    const round = this.definition.round || this.definition.icon;
+    return {
+      position: this.getPosition(),
+      color: this.color,
+      icon: this.definition.icon || null,
+      size: round ? CELL_SIZE * 1.2 : CELL_SIZE,
+      borderRadius: round ? 50 : 2,
+      // Fades over the last couple of seconds before it disappears
+      opacity: this.expiresAt - now < 2000 ? 0.5 : 1,
+    };
+  }
+
+  isEatenBy(snakeHead) {
+    return this.x === snakeHead.x && this.y === snakeHead.y;
+  }
+}
+
+// Food that also triggers one of EFFECTS when eaten
+export class PowerUp extends Food {
+  get effect() {
+    return this.definition.effect;
+  }
+}
+
+export function createFood(x, y, type, spawnedAt = 0) {
+  return FOOD_TYPES[type].effect ? new PowerUp(x, y, type, spawnedAt) : new Food(x, y, type, spawnedAt);
+}
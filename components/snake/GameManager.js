@@ -0,0 +1,426 @@
+import { EFFECTS, createFood, randomFoodType } from './Food';
+import { Snake } from './Snake';
+import { Wall } from './Wall';
+import { MAX_PLAYERS, PLAYER_LOOKS, SnakePlayer } from './Player';
+import { buildLevel } from './Levels';
+import { GRID_SIZE, INITIAL_SPEED } from './constants';
+
+// Chance of a bonus or power-up appearing each time regular food is eaten
+const EXTRA_CHANCE = 0.35;
+const MAX_EXTRAS = 1;
+
+// Longest stretch of real time one frame may hand the simulation; after a stall the snake
+// carries on from where it was instead of racing through the missed steps
+const MAX_FRAME_TIME = 250;
+// The "3-2-1" before a paused game picks up again
+const RESUME_COUNTDOWN = 3000;
+
+const DEFAULT_FRAMES = {
+  request: (callback) => requestAnimationFrame(callback),
+  cancel: (id) => cancelAnimationFrame(id),
+  now: () => Date.now(),
+};
+
+export class GameManager {
+  #players;
+  #food;
+  #isRunning;
+  #speed;
+  #level;
+  #mode;
+  #maze;
+  #wrap;
+  #walls;
+  #wallCells;
+  #extras;
+  #time;
+  #winner;
+  #frames;
+  #frame;
+  #lastFrame;
+  #accumulator;
+  #countdown;
+  #onTick;
+
+  /**
+   * @param {Object} options
+   * @param {string} options.mode 'classic' | 'wrap' | 'obstacles' | 'maze'
+   * @param {string} options.maze maze id, for maze mode
+   * @param {Array<Object>} options.players one entry per snake, see SnakePlayer; one human by default
+   * @param {{request: Function, cancel: Function, now: Function}} options.frames frame source for the
+   *   game loop, requestAnimationFrame by default
+   */
+  constructor({ mode = 'classic', maze, players = [{}], frames = DEFAULT_FRAMES } = {}) {
+    if (players.length < 1 || players.length > MAX_PLAYERS) {
+      throw new Error(`Snake takes 1 to ${MAX_PLAYERS} players`);
+    }
+    this.#mode = mode;
+    this.#maze = maze;
+    this.#players = players.map((options, index) => new SnakePlayer({ ...PLAYER_LOOKS[index], ...options }));
+    this.#food = null;
+    this.#extras = [];
+    this.#time = 0;
+    this.#winner = null;
+    this.#isRunning = false;
+    this.#speed = INITIAL_SPEED;
+    this.#level = 1;
+    this.#frames = frames;
+    this.#frame = null;
+    this.#lastFrame = null;
+    this.#accumulator = 0;
+    this.#countdown = 0;
+    this.#onTick = null;
+    this.#loadLevel();
+    this.spawnFood();
+  }
+
+  // Obstacle mode builds a new random layout every time
+  #loadLevel() {
+    const { wrap, walls, starts } = buildLevel(this.#mode, this.#maze, this.#players.length);
+    this.#wrap = wrap;
+    this.#walls = walls.map(({ x, y }) => new Wall(x, y));
+    this.#wallCells = new Set(walls.map(({ x, y }) => `${x},${y}`));
+    this.#players.forEach((player, index) => player.reset(new Snake(3, starts[index], player.color)));
+  }
+
+  get mode() {
+    return this.#mode;
+  }
+
+  get wrap() {
+    return this.#wrap;
+  }
+
+  get walls() {
+    return this.#walls;
+  }
+
+  isWall(x, y) {
+    return this.#wallCells.has(`${x},${y}`);
+  }
+
+  get players() {
+    return this.#players;
+  }
+
+  get isMultiplayer() {
+    return this.#players.length > 1;
+  }
+
+  // The first player's snake; the only one in single-player
+  get snake() {
+    return this.#players[0].snake;
+  }
+
+  // Snakes still on the board
+  get snakes() {
+    return this.#players.filter((player) => player.alive).map((player) => player.snake);
+  }
+
+  get food() {
+    return this.#food;
+  }
+
+  // Everything edible on the board: the regular food plus any bonus or power-up
+  get foods() {
+    return this.#food ? [this.#food, ...this.#extras] : this.#extras;
+  }
+
+  // Game time in ms, advanced by one tick interval per update
+  get time() {
+    return this.#time;
+  }
+
+  /**
+   * Effects still running, for the on-screen indicators
+   * @returns {Array<{id: string, label: string, icon: string, color: string, remaining: number, player: SnakePlayer}>}
+   */
+  get activeEffects() {
+    return this.#players.flatMap((player) => [...player.effects].map(([id, expiresAt]) => ({
+      id,
+      ...EFFECTS[id],
+      remaining: expiresAt - this.#time,
+      player,
+    })));
+  }
+
+  hasEffect(id, player = this.#players[0]) {
+    return player.effects.has(id);
+  }
+
+  // The first player's score
+  get score() {
+    return this.#players[0].score;
+  }
+
+  /**
+   * Last snake standing once a multiplayer round is over, or the snake that filled the board
+   * (solo too); null while it's on or when nobody survived
+   * @returns {SnakePlayer|null}
+   */
+  get winner() {
+    return this.#winner;
+  }
+
+  get isRunning() {
+    return this.#isRunning;
+  }
+
+  // Whole seconds left on the resume countdown, 0 when there is none
+  get countdown() {
+    return Math.ceil(this.#countdown / 1000);
+  }
+
+  // Length of one step in ms, stretched while anyone's slow-motion is running (all snakes share the step)
+  get speed() {
+    const running = new Set(this.#players.flatMap((player) => [...player.effects.keys()]));
+    return [...running].reduce((speed, id) => speed * (EFFECTS[id].speedFactor || 1), this.#speed);
+  }
+
+  get level() {
+    return this.#level;
+  }
+
+  /**
+   * Set the snakes moving. A game that was already under way counts down first,
+   * so nobody is thrown straight back into play.
+   */
+  start() {
+    if (this.#isRunning) return;
+    this.#countdown = this.#time > 0 ? RESUME_COUNTDOWN : 0;
+    this.#accumulator = 0;
+    this.#isRunning = true;
+    this.#requestFrame();
+  }
+
+  pause() {
+    this.#isRunning = false;
+    this.#countdown = 0;
+    this.#cancelFrame();
+  }
+
+  /**
+   * Run the game from animation frames while it's going. Real time piles up in an
+   * accumulator and is spent in fixed steps of `speed` ms, so the snakes move at the
+   * same pace whatever the frame rate, and a level-up only shortens the step.
+   * @param {function({ticks: number, gameOver: boolean, winner: SnakePlayer|null, countdown: number})} onTick
+   *   called after every frame that moved the game or changed the countdown
+   */
+  startLoop(onTick) {
+    this.#onTick = onTick;
+    this.#requestFrame();
+  }
+
+  stopLoop() {
+    this.#onTick = null;
+    this.#cancelFrame();
+  }
+
+  /**
+   * Feed real time into the game: first into the resume countdown, then as whole steps
+   * @param {number} elapsed ms since the last call
+   */
+  advance(elapsed) {
+    const result = { ticks: 0, gameOver: false, winner: null, countdown: this.countdown };
+    if (!this.#isRunning) return result;
+    let time = Math.min(elapsed, MAX_FRAME_TIME);
+
+    if (this.#countdown > 0) {
+      const spent = Math.min(time, this.#countdown);
+      this.#countdown -= spent;
+      time -= spent;
+      result.countdown = this.countdown;
+    }
+
+    this.#accumulator += time;
+    while (this.#isRunning && this.#accumulator >= this.speed) {
+      this.#accumulator -= this.speed;
+      result.ticks++;
+      const { gameOver, winner } = this.update();
+      if (gameOver) return { ...result, gameOver, winner };
+    }
+    return result;
+  }
+
+  // Frames only run while the game does; each new run starts timing from now
+  #requestFrame(continuing = false) {
+    if (!this.#onTick || !this.#isRunning || this.#frame !== null) return;
+    if (!continuing) this.#lastFrame = this.#frames.now();
+    this.#frame = this.#frames.request(() => this.#handleFrame());
+  }
+
+  #cancelFrame() {
+    if (this.#frame !== null) this.#frames.cancel(this.#frame);
+    this.#frame = null;
+  }
+
+  #handleFrame() {
+    this.#frame = null;
+    const now = this.#frames.now();
+    const countdownBefore = this.countdown;
+    const result = this.advance(now - this.#lastFrame);
+    this.#lastFrame = now;
+    if (result.ticks > 0 || result.gameOver || result.countdown !== countdownBefore) this.#onTick?.(result);
+    this.#requestFrame(true);
+  }
+
+  /**
+   * Turn a human player's snake
+   * @returns {boolean} whether the turn was queued
+   */
+  steer(index, direction) {
+    const player = this.#players[index];
+    if (!player || !player.alive || player.isCpu) return false;
+    return player.snake.setDirection(direction);
+  }
+
+  // A random empty cell, or null once walls, snakes and food cover the whole board
+  #freeCell() {
+    const taken = new Set(this.#wallCells);
+    this.snakes.forEach((snake) => snake.body.forEach(({ x, y }) => taken.add(`${x},${y}`)));
+    this.foods.forEach(({ x, y }) => taken.add(`${x},${y}`));
+    const free = [];
+    for (let x = 0; x < GRID_SIZE; x++) {
+      for (let y = 0; y < GRID_SIZE; y++) {
+        if (!taken.has(`${x},${y}`)) free.push({ x, y });
+      }
+    }
+    return free.length > 0 ? free[Math.floor(Math.random() * free.length)] : null;
+  }
+
+  /**
+   * Put regular food on a random empty cell
+   * @returns {boolean} false when the board is full and there is nowhere left to put it
+   */
+  spawnFood() {
+    this.#food = null;
+    const cell = this.#freeCell();
+    if (!cell) return false;
+    this.#food = createFood(cell.x, cell.y, randomFoodType('main'), this.#time);
+    return true;
+  }
+
+  // Now and then a bonus or power-up turns up next to the regular food, one at a time
+  #maybeSpawnExtra() {
+    if (this.#extras.length >= MAX_EXTRAS || Math.random() >= EXTRA_CHANCE) return;
+    const cell = this.#freeCell();
+    if (cell) this.#extras.push(createFood(cell.x, cell.y, randomFoodType('extra'), this.#time));
+  }
+
+  #applyEffect(player, id) {
+    const effect = EFFECTS[id];
+    if (effect.segments) player.snake.shrink(effect.segments);
+    // Eating the same power-up again restarts its timer
+    player.effects.set(id, this.#time + effect.duration);
+  }
+
+  #eat(player, food) {
+    const factor = [...player.effects.keys()].reduce((total, id) => total * (EFFECTS[id].scoreFactor || 1), 1);
+    player.addPoints(food.points * factor);
+    if (food.effect) this.#applyEffect(player, food.effect);
+    else player.snake.grow();
+  }
+
+  #expire() {
+    this.#extras = this.#extras.filter((food) => !food.isExpired(this.#time));
+    for (const player of this.#players) {
+      for (const [id, expiresAt] of player.effects) {
+        if (expiresAt <= this.#time) player.effects.delete(id);
+      }
+    }
+  }
+
+  /**
+   * Whether a snake moving into (x, y) crashes. Every body counts, tails included;
+   * a ghost only passes through its own.
+   */
+  #crashes(player, { x, y }, alive) {
+    if (x < 0 || x >= GRID_SIZE || y < 0 || y >= GRID_SIZE || this.isWall(x, y)) return true;
+    return alive.some((other) =>
+      (other !== player || !this.hasEffect('ghost', player)) && other.snake.occupies(x, y)
+    );
+  }
+
+  /**
+   * One fixed step of the simulation; advance() calls this as time passes
+   * @returns {{gameOver: boolean, winner: SnakePlayer|null}}
+   */
+  update() {
+    if (!this.#isRunning) return { gameOver: false, winner: null };
+
+    this.#time += this.speed;
+    this.#expire();
+
+    const alive = this.#players.filter((player) => player.alive);
+    alive.forEach((player) => {
+      if (player.isCpu) player.snake.setDirection(player.controller.chooseDirection(this, player.snake));
+    });
+
+    // Every snake moves at once, so collisions are decided against where everyone is now
+    const moves = alive.map((player) => ({ player, next: player.snake.nextHeadPosition(this.#wrap) }));
+    const crashed = new Set();
+    for (const { player, next } of moves) {
+      if (this.#crashes(player, next, alive)) crashed.add(player);
+      for (const other of moves) {
+        if (other.player === player) continue;
+        // Head to head: both heads land on the same cell, or swap cells
+        const sameCell = other.next.x === next.x && other.next.y === next.y;
+        const swapped = other.next.x === player.snake.head.x && other.next.y === player.snake.head.y &&
+          next.x === other.player.snake.head.x && next.y === other.player.snake.head.y;
+        if (sameCell || swapped) crashed.add(player);
+      }
+    }
+    crashed.forEach((player) => player.kill());
+
+    const survivors = alive.filter((player) => !crashed.has(player));
+    survivors.forEach((player) => player.snake.move(this.#wrap));
+
+    // Whoever eats the last food with no room left for more has filled the board
+    let filledBy = null;
+    for (const player of survivors) {
+      const head = player.snake.head;
+      if (this.#food?.isEatenBy(head)) {
+        this.#eat(player, this.#food);
+        if (this.spawnFood()) this.#maybeSpawnExtra();
+        else filledBy = player;
+        this.#updateLevel();
+      }
+
+      const extra = this.#extras.find((food) => food.isEatenBy(head));
+      if (extra) {
+        this.#extras = this.#extras.filter((food) => food !== extra);
+        this.#eat(player, extra);
+        this.#updateLevel();
+      }
+    }
+
+    // Alone you play until you crash or fill the board; together the round ends with one snake
+    // (or none) left, or when the board fills up
+    const gameOver = filledBy !== null ||
+      (this.isMultiplayer ? survivors.length <= 1 : survivors.length === 0);
+    if (gameOver) {
+      this.pause();
+      this.#winner = filledBy ?? (this.isMultiplayer && survivors.length === 1 ? survivors[0] : null);
+    }
+    return { gameOver, winner: this.#winner };
+  }
+
+  // Speed follows whoever is furthest ahead, since all snakes share the tick
+  #updateLevel() {
+    const best = Math.max(...this.#players.map((player) => player.score));
+    this.#level = Math.floor(best / 10) + 1;
+    this.#speed = Math.max(50, INITIAL_SPEED - (this.#level - 1) * 10);
+  }
+
+  reset() {
+    this.pause();
+    this.#accumulator = 0;
+    this.#loadLevel();
+    this.#speed = INITIAL_SPEED;
+    this.#level = 1;
+    this.#extras = [];
+    this.#time = 0;
+    this.#winner = null;
+    this.spawnFood();
+  }
+}
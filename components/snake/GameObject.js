@@ -0,0 +1,36 @@
+// GameObject.js - base class for everything that sits on a cell of the Snake grid
+export class GameObject {
+  #x;
+  #y;
+
+  constructor(x, y) {
+    this.#x = x;
+    this.#y = y;
+  }
+
+  get x() {
+    return this.#x;
+  }
+
+  get y() {
+    return this.#y;
+  }
+
+
+  set x(value) {
+    this.#x = value;
+  }
+
+  set y(value) {
+    this.#y = value;
+  }
+
+
+  getPosition() {
+    return { x: this.#x, y: this.#y };
+  }
+
+  render() {
+    throw new Error('ERROR! RENDER SHOULD BE IMPLEMENTED BY SUBCLASS');
+  }
+}
@@ -0,0 +1,225 @@
+// Levels.js - Snake game modes, hand-drawn mazes and random obstacle layouts
+import { GRID_SIZE } from './constants';
+
+export const MODES = [
+  { id: 'classic', label: 'Classic', wrap: false },
+  { id: 'wrap', label: 'Wrap', wrap: true },
+  { id: 'obstacles', label: 'Obstacles', wrap: false, obstacles: 14 },
+  { id: 'maze', label: 'Maze', wrap: true },
+];
+
+/**
+ * Mazes are drawn one text line per row, GRID_SIZE characters wide:
+ * '#' is a wall, '.' is open floor and 'S' is where the snake's head starts (facing right).
+ * A maze can mark more than one 'S' for multiplayer; otherwise the others are mirrored from the first.
+ * Maze mode wraps at the edges, so gaps in the border work as tunnels.
+ */
+export const MAZES = [
+  {
+    id: 'tunnels',
+    name: 'Tunnels',
+    layout: `
+########....########
+#..................#
+#..................#
+#..................#
+#..................#
+#..................#
+#..................#
+#..................#
+....................
+....................
+.....S..............
+....................
+#..................#
+#..................#
+#..................#
+#..................#
+#..................#
+#..................#
+#..................#
+########....########`,
+  },
+  {
+    id: 'cross',
+    name: 'Cross',
+    layout: `
+....................
+....................
+....................
+.........##.........
+.........##.........
+...#####.##.#####...
+.........##.........
+.........##.........
+....................
+....................
+....S...............
+....................
+.........##.........
+.........##.........
+...#####.##.#####...
+.........##.........
+.........##.........
+....................
+....................
+....................`,
+  },
+  {
+    id: 'rooms',
+    name: 'Rooms',
+    layout: `
+####..########..####
+#........#.........#
+#........#.........#
+#..................#
+....................
+....................
+#........#.........#
+#........#.........#
+#........#.........#
+###...###..###...###
+#..................#
+#........#.........#
+#...S....#.........#
+#........#.........#
+....................
+....................
+#..................#
+#........#.........#
+#........#.........#
+####..########..####`,
+  },
+];
+
+const RIGHT = { x: 1, y: 0 };
+const DEFAULT_START = { x: 3, y: Math.floor(GRID_SIZE / 2), direction: RIGHT };
+const START_LENGTH = 3;
+
+const cellKey = (x, y) => `${x},${y}`;
+
+/**
+ * Read a maze from the text format described above
+ * @returns {{walls: Array<{x: number, y: number}>, starts: Array<{x: number, y: number, direction: {x: number, y: number}}>}}
+ */
+export function parseMaze(text) {
+  const rows = text.trim().split('\n').map(row => row.trim());
+  if (rows.length !== GRID_SIZE || rows.some(row => row.length !== GRID_SIZE)) {
+    throw new Error(`Maze must be ${GRID_SIZE} rows of ${GRID_SIZE} characters`);
+  }
+
+  const walls = [];
+  const starts = [];
+  rows.forEach((row, y) => {
+    [...row].forEach((char, x) => {
+      if (char === '#') walls.push({ x, y });
+      else if (char === 'S') starts.push({ x, y, direction: RIGHT });
+      else if (char !== '.') throw new Error(`Unknown maze character '${char}' at ${x},${y}`);
+    });
+  });
+  return { walls, starts: starts.length ? starts : [DEFAULT_START] };
+}
+
+/**
+ * One start per snake. Starts the level doesn't provide are mirrored from its first one
+ * (through the centre, then top to bottom, then left to right), skipping any where the
+ * snake would overlap a wall, the edge or another snake.
+ * @param {Array} starts starts the level provides
+ * @param {number} count how many snakes play
+ * @param {function(number, number): boolean} isWall
+ */
+export function spreadStarts(starts, count, isWall = () => false) {
+  const [first] = starts;
+  const flipped = { x: -first.direction.x, y: -first.direction.y };
+  const candidates = [
+    ...starts,
+    { x: GRID_SIZE - 1 - first.x, y: GRID_SIZE - 1 - first.y, direction: flipped },
+    { x: first.x, y: GRID_SIZE - 1 - first.y, direction: first.direction },
+    { x: GRID_SIZE - 1 - first.x, y: first.y, direction: flipped },
+  ];
+
+  const taken = new Set();
+  const result = [];
+  for (const start of candidates) {
+    if (result.length === count) break;
+    const cells = Array.from({ length: START_LENGTH }, (_, i) => ({
+      x: start.x - i * start.direction.x,
+      y: start.y - i * start.direction.y,
+    }));
+    const fits = cells.every(({ x, y }) =>
+      x >= 0 && y >= 0 && x < GRID_SIZE && y < GRID_SIZE && !isWall(x, y) && !taken.has(cellKey(x, y))
+    );
+    if (!fits) continue;
+    cells.forEach(({ x, y }) => taken.add(cellKey(x, y)));
+    result.push(start);
+  }
+  if (result.length < count) throw new Error(`This level has no room for ${count} snakes`);
+  return result;
+}
+
+/**
+ * Scatter short wall pieces over the board, keeping clear the rows the snakes start on,
+ * from behind each tail to a few cells ahead of each head.
+ * Any open cell the first start can't reach is filled in, so food never lands somewhere unreachable.
+ */
+export function generateObstacles(count, starts = [DEFAULT_START], random = Math.random) {
+  const walls = new Set();
+  const isSafe = (x, y) => starts.every(start =>
+    Math.abs(y - start.y) > 1 || (start.direction.x < 0 ? x < start.x - 6 : x > start.x + 6)
+  );
+
+  for (let placed = 0; placed < count; placed++) {
+    const length = 1 + Math.floor(random() * 3);
+    const horizontal = random() < 0.5;
+    const x = Math.floor(random() * GRID_SIZE);
+    const y = Math.floor(random() * GRID_SIZE);
+    for (let i = 0; i < length; i++) {
+      const wx = horizontal ? x + i : x;
+      const wy = horizontal ? y : y + i;
+      if (wx < GRID_SIZE && wy < GRID_SIZE && isSafe(wx, wy)) walls.add(cellKey(wx, wy));
+    }
+  }
+
+  const [start] = starts;
+  const reached = new Set([cellKey(start.x, start.y)]);
+  const queue = [start];
+  while (queue.length) {
+    const { x, y } = queue.shift();
+    for (const [nx, ny] of [[x + 1, y], [x - 1, y], [x, y + 1], [x, y - 1]]) {
+      const key = cellKey(nx, ny);
+      if (nx < 0 || ny < 0 || nx >= GRID_SIZE || ny >= GRID_SIZE || walls.has(key) || reached.has(key)) continue;
+      reached.add(key);
+      queue.push({ x: nx, y: ny });
+    }
+  }
+
+  const result = [];
+  for (let y = 0; y < GRID_SIZE; y++) {
+    for (let x = 0; x < GRID_SIZE; x++) {
+      if (walls.has(cellKey(x, y)) || !reached.has(cellKey(x, y))) result.push({ x, y });
+    }
+  }
+  return result;
+}
+
+/**
+ * Walls, start cells and edge behaviour for a mode
+ * @param {string} modeId one of MODES
+ * @param {string} mazeId one of MAZES, used by maze mode
+ * @param {number} snakeCount how many snakes need a start
+ */
+export function buildLevel(modeId, mazeId = MAZES[0].id, snakeCount = 1) {
+  const mode = MODES.find(m => m.id === modeId) || MODES[0];
+  if (mode.id === 'maze') {
+    const maze = MAZES.find(m => m.id === mazeId) || MAZES[0];
+    const { walls, starts } = parseMaze(maze.layout);
+    const wallCells = new Set(walls.map(({ x, y }) => cellKey(x, y)));
+    return { wrap: mode.wrap, walls, starts: spreadStarts(starts, snakeCount, (x, y) => wallCells.has(cellKey(x, y))) };
+  }
+  const starts = spreadStarts([DEFAULT_START], snakeCount);
+  return {
+    wrap: mode.wrap,
+    walls: mode.obstacles ? generateObstacles(mode.obstacles, starts) : [],
+    starts,
+  };
+}
@@ -0,0 +1,76 @@
+// Player.js - one snake on the board with its score, running power-ups and who steers it
+import { CpuSnake } from './CpuSnake';
+
+export const MAX_PLAYERS = 4;
+
+// How each seat looks unless told otherwise
+export const PLAYER_LOOKS = [
+  { name: 'P1', color: '#8b5cf6', emoji: '😈' },
+  { name: 'P2', color: '#10b981', emoji: '🐸' },
+  { name: 'P3', color: '#f97316', emoji: '🦊' },
+  { name: 'P4', color: '#0ea5e9', emoji: '🐳' },
+];
+
+export class SnakePlayer {
+  #snake;
+  #score;
+  #alive;
+  #effects;
+
+  /**
+   * @param {Object} options
+   * @param {string} options.name
+   * @param {string} options.color body colour of the snake
+   * @param {string} options.emoji drawn on the head
+   * @param {string} options.control 'human' | 'cpu'
+   * @param {string} options.difficulty one of CPU_DIFFICULTIES, for CPU players
+   */
+  constructor({ name, color, emoji, control = 'human', difficulty } = {}) {
+    this.name = name;
+    this.color = color;
+    this.emoji = emoji;
+    this.control = control;
+    this.controller = control === 'cpu' ? new CpuSnake(difficulty) : null;
+    this.#snake = null;
+    this.#score = 0;
+    this.#alive = true;
+    this.#effects = new Map();
+  }
+
+  get snake() {
+    return this.#snake;
+  }
+
+  get score() {
+    return this.#score;
+  }
+
+  get alive() {
+    return this.#alive;
+  }
+
+  // Effect id -> game time it runs out
+  get effects() {
+    return this.#effects;
+  }
+
+  get isCpu() {
+    return this.controller !== null;
+  }
+
+  addPoints(points) {
+    this.#score += points;
+  }
+
+  kill() {
+    this.#alive = false;
+  }
+
+  // Back to the start of a round with a fresh snake
+  reset(snake) {
+    this.#snake = snake;
+    this.#score = 0;
+    this.#alive = true;
+    this.#effects.clear();
+  }
+}
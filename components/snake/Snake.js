@@ -0,0 +1,199 @@
+import { GameObject } from './GameObject';
+import { CELL_SIZE, GRID_SIZE } from './constants';
+
+export class SnakeSegment extends GameObject {
+  #isHead;
+  #color;
+  #bodyColor;
+
+constructor(x, y, isHead = false, bodyColor = '#8b5cf6') {
+  super(x, y);
+  this.#isHead = isHead;
+  this.#bodyColor = bodyColor;
+
+  this.image = isHead
+    ? require('../../assets/images/snake_head.png')
+    : null;
+
+  this.#color = isHead
+    ? null
+    : bodyColor;
+}
+
+  get isHead() {
+    return this.#isHead;
+  }
+
+  set isHead(value) {
+    this.#isHead = value;
+    this.#color = value ? '#a78bfa' : this.#bodyColor;
+  }
+
+  get color() {
+    return this.#color;
+  }
+
+  render() {
+    return {
+      position: this.getPosition(),
+      isHead: this.#isHead,
+      color: this.#color,
+      size: CELL_SIZE,
+    };
+  }
+}
+
+// Turns buffered ahead of the ticks that apply them
+const MAX_QUEUED_TURNS = 2;
+
+export class Snake {
+  #segments;
+  #color;
+  #direction;
+  #turnQueue;
+  #growing;
+
+  /**
+   * @param {number} initialLength
+   * @param {{x: number, y: number, direction?: {x: number, y: number}}} start head cell and heading
+   *   (right by default); the body trails off behind it
+   * @param {string} color body colour, to tell snakes apart
+   */
+  constructor(initialLength = 3, start = { x: initialLength, y: Math.floor(GRID_SIZE / 2) }, color = '#8b5cf6') {
+    this.#segments = [];
+    this.#color = color;
+    this.#direction = start.direction || { x: 1, y: 0 };
+    this.#turnQueue = [];
+    this.#growing = false;
+
+    for (let i = 0; i < initialLength; i++) {
+      this.#segments.push(
+        new SnakeSegment(
+          start.x - i * this.#direction.x,
+          start.y - i * this.#direction.y,
+          i === 0,
+          color
+        )
+      );
+    }
+  }
+
+  get head() {
+    return this.#segments[0];
+  }
+
+  get body() {
+    return this.#segments;
+  }
+
+  get color() {
+    return this.#color;
+  }
+
+  // Whether any segment sits on the cell
+  occupies(x, y) {
+    return this.#segments.some((segment) => segment.x === x && segment.y === y);
+  }
+
+  get length() {
+    return this.#segments.length;
+  }
+
+  // Direction of the next step: the first queued turn, or straight on
+  get direction() {
+    return this.#turnQueue[0] || this.#direction;
+  }
+
+  get pendingTurns() {
+    return this.#turnQueue.length;
+  }
+
+  /**
+   * Queue a turn for an upcoming tick, so two quick turns in one tick both happen.
+   * Each turn is checked against the direction the snake will have when it's applied,
+   * which rules out reversing into the neck through a pair of fast inputs.
+   * @returns {boolean} whether the turn was queued
+   */
+  setDirection(newDirection) {
+    const last = this.#turnQueue[this.#turnQueue.length - 1] || this.#direction;
+    const reverses = newDirection.x === -last.x && newDirection.y === -last.y;
+    const same = newDirection.x === last.x && newDirection.y === last.y;
+    if (reverses || same || this.#turnQueue.length >= MAX_QUEUED_TURNS) return false;
+    this.#turnQueue.push(newDirection);
+    return true;
+  }
+
+  grow() {
+    this.#growing = true;
+  }
+
+  /**
+   * Drop segments off the tail, never going below minLength
+   * @returns {number} how many segments were removed
+   */
+  shrink(count, minLength = 3) {
+    const removed = Math.max(0, Math.min(count, this.#segments.length - minLength));
+    this.#segments.splice(this.#segments.length - removed, removed);
+    return removed;
+  }
+
+  /**
+   * Cell the head moves into next tick
+   * @param {boolean} wrap leaving one edge enters the opposite one
+   */
+  nextHeadPosition(wrap = false) {
+    let x = this.head.x + this.direction.x;
+    let y = this.head.y + this.direction.y;
+    if (wrap) {
+      x = (x + GRID_SIZE) % GRID_SIZE;
+      y = (y + GRID_SIZE) % GRID_SIZE;
+    }
+    return { x, y };
+  }
+
+  move(wrap = false) {
+    const next = this.nextHeadPosition(wrap);
+    this.#direction = this.#turnQueue.shift() || this.#direction;
+
+    const newHead = new SnakeSegment(
+      next.x,
+      next.y,
+      true,
+      this.#color
+    );
+
+    this.#segments[0].isHead = false;
+
+    this.#segments.unshift(newHead);
+
+    if (!this.#growing) {
+      this.#segments.pop();
+    }
+    this.#growing = false;
+  }
+
+  checkSelfCollision() {
+    for (let i = 1; i < this.#segments.length; i++) {
+      if (
+        this.head.x === this.#segments[i].x &&
+        this.head.y === this.#segments[i].y
+      ) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  checkWallCollision() {
+    return (
+      this.head.x < 0 ||
+      this.head.x >= GRID_SIZE ||
+      this.head.y < 0 ||
+      this.head.y >= GRID_SIZE
+    );
+  }
+
+  render() {
+    return this.#segments.map((segment) => segment.render());
+  }
+}
@@ -0,0 +1,13 @@
+import { GameObject } from './GameObject';
+import { CELL_SIZE } from './constants';
+
+// One cell of an obstacle or maze wall
+export class Wall extends GameObject {
+  render() {
+    return {
+      position: this.getPosition(),
+      color: '#475569',
+      size: CELL_SIZE,
+    };
+  }
+}
@@ -0,0 +1,4 @@
+// constants.js - Snake board dimensions and timing
+export const GRID_SIZE = 20;
+export const CELL_SIZE = 15;
+export const INITIAL_SPEED = 200;
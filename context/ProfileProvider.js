@@ -0,0 +1,49 @@
+import React, { createContext, useContext, useEffect, useState } from "react";
+import { ProfileManager } from "../components/ProfileManager";
+
+const profileManager = new ProfileManager();
+
+const ProfileContext = createContext({
+    profile: null,
+    profiles: [],
+    selectProfile: async () => {},
+    createProfile: async () => {},
+    removeProfile: async () => {},
+});
+
+export const useProfile = () => useContext(ProfileContext);
+
+export const ProfileProvider = ({ children }) => {
+    const [profile, setProfile] = useState(null);
+    const [profiles, setProfiles] = useState([]);
+
+    const refresh = async () => {
+        setProfiles(await profileManager.getProfiles());
+        setProfile(await profileManager.getActiveProfile());
+    };
+
+    useEffect(() => {
+        refresh();
+    }, []);
+
+    const selectProfile = async (id) => {
+        await profileManager.setActiveProfile(id);
+        await refresh();
+    };
+
+    const createProfile = async (details) => {
+        const created = await profileManager.createProfile(details);
+        await profileManager.setActiveProfile(created.id);
+        await refresh();
+        return created;
+    };
+
+    const removeProfile = async (id) => {
+        await profileManager.removeProfile(id);
+        await refresh();
+    };
+
+    return <ProfileContext.Provider value={{ profile, profiles, selectProfile, createProfile, removeProfile }}>
+        {children}
+    </ProfileContext.Provider>
+}
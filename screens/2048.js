@@ -1,4 +1,11 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
+import Animated, {
+    useSharedValue,
+    useAnimatedStyle,
+    withTiming,
+    withDelay,
+    withSequence,
+} from 'react-native-reanimated';
 import { Pressable, useColorScheme } from 'react-native';
 import { Image } from 'react-native';
 import { ImageBackground } from 'react-native';
@@ -7,118 +14,396 @@ import {
     Text,
     StyleSheet,
     TouchableOpacity,
-    Alert,
     SafeAreaView,
+    Dimensions,
 } from 'react-native';
-import { Tile, GameManager } from '../components/GameManager';
-import AsyncStorage from '@react-native-async-storage/async-storage';
-import themeChange from '../assets/images/themeChange.png'
+import { GameManager } from '../components/GameManager';
+import { dailySeed } from '../components/SeededRandom';
+import { ExpectimaxSolver } from '../components/ExpectimaxSolver';
+import { SwipeArea, useKeyboardDirections } from '../components/SwipeInput';
+import { SaveSlots } from '../components/SaveSlots';
+import { ScoreManager } from '../components/ScoreManager';
+import { ProfileManager } from '../components/ProfileManager';
+import ProfileBadge from '../components/ProfileBadge';
 // import { ThemeProvider, useTheme } from '@react-navigation/native';
 // const [Theme ,setTheme]=useState("light");
 
+const { width: SCREEN_WIDTH } = Dimensions.get('window');
+const BOARD_SIZES = [3, 4, 5, 6, 7, 8];
+const TARGETS = [2048, 4096, null];
+
+// Every board size keeps its own scores
+const scoresFor = (size) => new ScoreManager(`2048-${size}x${size}`);
+const AUTOPLAY_DELAY = 250;
+const HINT_ARROWS = { up: '↑', down: '↓', left: '←', right: '→' };
+const SLIDE_DURATION = 100;
+const saveSlots = new SaveSlots('2048');
+
+// Board size, goal and daily mode are remembered per profile
+const profileManager = new ProfileManager();
+const DEFAULT_SETTINGS = { boardSize: 4, target: 2048, dailyMode: false };
+const CELL_GAP = 10;
+
+const cellOffset = (index, cellSize) => CELL_GAP / 2 + index * (cellSize + CELL_GAP);
+
+/**
+ * One tile, keyed by Tile.id so the same view slides from cell to cell.
+ * appear: 'merged' pops in once the slide is done, 'spawned' fades in.
+ */
+const AnimatedTile = ({ value, row, col, cellSize, appear }) => {
+    const x = useSharedValue(cellOffset(col, cellSize));
+    const y = useSharedValue(cellOffset(row, cellSize));
+    const scale = useSharedValue(appear ? 0 : 1);
+    const opacity = useSharedValue(appear === 'spawned' ? 0 : 1);
+
+    useEffect(() => {
+        x.value = withTiming(cellOffset(col, cellSize), { duration: SLIDE_DURATION });
+        y.value = withTiming(cellOffset(row, cellSize), { duration: SLIDE_DURATION });
+    }, [row, col, cellSize, x, y]);
+
+    useEffect(() => {
+        if (appear === 'merged') {
+            scale.value = withDelay(SLIDE_DURATION, withSequence(
+                withTiming(1.2, { duration: 80 }),
+                withTiming(1, { duration: 80 }),
+            ));
+        } else if (appear === 'spawned') {
+            scale.value = withDelay(SLIDE_DURATION, withTiming(1, { duration: 150 }));
+            opacity.value = withDelay(SLIDE_DURATION, withTiming(1, { duration: 150 }));
+        }
+    }, []);
+
+    const animatedStyle = useAnimatedStyle(() => ({
+        opacity: opacity.value,
+        transform: [{ translateX: x.value }, { translateY: y.value }, { scale: scale.value }],
+    }));
+
+    const tile = { value };
+    return (
+        <Animated.View style={[styles.cell, styles.tile, { width: cellSize, height: cellSize }, tileStyle(tile), animatedStyle]}>
+            <Text style={[styles.cellText, { fontSize: tileFontSize(tile, cellSize) }]}>{value}</Text>
+        </Animated.View>
+    );
+};
+
+/**
+ * Tiles to draw for the current board: tiles swallowed by a merge are kept
+ * (drawn first, underneath) so they can slide into the merged tile.
+ */
+function boardTiles(game) {
+    let appear = {};
+    let consumed = [];
+    for (let t of game.lastTransitions) {
+        if (t.merged) appear[t.id] = 'merged';
+        else if (t.spawned) appear[t.id] = 'spawned';
+        else if (t.mergedInto) consumed.push({ id: t.id, value: t.value, row: t.to.row, col: t.to.col });
+    }
+    let tiles = [];
+    game.grid.forEach(row => row.forEach(tile => {
+        if (tile) tiles.push({ id: tile.id, value: tile.value, row: tile.row, col: tile.col, appear: appear[tile.id] });
+    }));
+    return [...consumed, ...tiles];
+}
+
+// Full depth gets too slow past 5x5, where there are many more spawn cells to average over
+const solverFor = (size) => new ExpectimaxSolver({ depth: size > 5 ? 1 : 2 });
+
 const App = () => {
-    const [game, setGame] = useState(new GameManager());
-    const [score, setScore] = useState(0);
+    const [dailyMode, setDailyMode] = useState(false);
+    const [boardSize, setBoardSize] = useState(4);
+    const [target, setTarget] = useState(2048);
+    const [game, setGame] = useState(() => new GameManager(4, { target: 2048 }));
     const [highScore, setHighScore] = useState(0);
+    const [hint, setHint] = useState(null);
+    const [autoplay, setAutoplay] = useState(false);
+    const [slot, setSlot] = useState(1);
+    const [resumePrompt, setResumePrompt] = useState(null);
+    const playStartRef = useRef(Date.now());
+    // Seed and start time of the last game put on the leaderboard, so undo or keepGoing can't record it twice
+    const recordedRef = useRef(null);
 
-    const [Theme, setTheme] = useState("light");
+    useEffect(() => {
+        loadHighScore(boardSize);
+    }, [boardSize]);
 
-    const toggleTheme = () => {
-        setTheme(prev => (prev === "light" ? "dark" : "light"));
-    };
     useEffect(() => {
-        loadHighScore();
+        (async () => {
+            const settings = await profileManager.getSettings('2048', DEFAULT_SETTINGS);
+            applySettings(settings);
+            openSlot(1, settings);
+        })();
     }, []);
-    
+
+    // Autosave after every move; a finished game frees its slot and goes on the leaderboard.
+    // Fresh games aren't saved here: restartGame clears the slot for them.
     useEffect(() => {
+        if (game.moves === 0) return;
         if (game.isGameOver()) {
-            Alert.alert('Game Over', `Your score: ${score}`, [
-                { text: 'Restart', onPress: () => restartGame() },
-            ]);
+            saveSlots.clear(slot);
+            recordGame();
+        } else {
+            saveSlots.save(slot, { game: game.serialize(), daily: dailyMode, playtime: Date.now() - playStartRef.current });
         }
     }, [game]);
-
-    const loadHighScore = async () => {
-        try {
-            const value = await AsyncStorage.getItem('HIGH_SCORE');
-            if (value !== null) {
-                setHighScore(parseInt(value, 10));
-
-            }
-
-        } catch (e) {
-            console.error(e);
+    
+    useEffect(() => {
+        if (!autoplay) return;
+        if (game.isGameOver() || game.isWon()) {
+            setAutoplay(false);
+            return;
         }
+        const timer = setTimeout(() => {
+            const direction = solverFor(game.size).bestMove(game.snapshot().grid);
+            if (direction) handleMove(direction);
+            else setAutoplay(false);
+        }, AUTOPLAY_DELAY);
+        return () => clearTimeout(timer);
+    }, [autoplay, game]);
+
+    // Puts the current game on the leaderboard, once, whether it ended or was abandoned
+    const recordGame = () => {
+        const gameKey = `${game.seed}-${playStartRef.current}`;
+        if (game.moves === 0 || recordedRef.current === gameKey) return;
+        recordedRef.current = gameKey;
+        scoresFor(game.size).recordGame({
+            score: game.score,
+            duration: Date.now() - playStartRef.current,
+            won: game.target !== null ? game.maxTile() >= game.target : null,
+            maxTile: game.maxTile(),
+            moves: game.moves,
+        });
+    };
+
+    const loadHighScore = async (size) => {
+        setHighScore(await scoresFor(size).getHighScore());
     };
 
     const saveHighScore = async (newScore) => {
         if (newScore > highScore) {
-            try {
-                await AsyncStorage.setItem('HIGH_SCORE', newScore.toString());
-                setHighScore(newScore);
-
-            } catch (e) {
-                console.error(e);
-            }
+            setHighScore(newScore);
+            await scoresFor(game.size).submitScore(newScore);
         }
     };
 
+    // Every change is applied to a clone, so each render works from its own snapshot
+    const updateGame = (change) => {
+        const next = game.clone();
+        if (!change(next)) return null;
+        setHint(null);
+        setGame(next);
+        return next;
+    };
+
     const handleMove = (direction) => {
-        let moved = game.move(direction);
-        if (moved) {
-            setScore(game.score);
-            saveHighScore(game.score);
-            setGame(newGameManagerSnapshot(game));
+        const next = updateGame(g => g.move(direction));
+        if (next) saveHighScore(next.score);
+    };
+
+    // Autoplay drives the board by itself, so player input is ignored while it runs
+    const handlePlayerMove = (direction) => {
+        if (!autoplay && !resumePrompt) handleMove(direction);
+    };
+
+    useKeyboardDirections(handlePlayerMove);
+
+    const showHint = () => {
+        setHint(solverFor(game.size).bestMove(game.snapshot().grid));
+    };
+
+    const handleUndo = () => updateGame(g => g.undo());
+
+    const handleRedo = () => updateGame(g => g.redo());
+
+    const keepGoing = () => updateGame(g => {
+        g.continuePlaying();
+        return true;
+    });
+
+    const restartGame = ({ daily = dailyMode, size = boardSize, goal = target, slotNumber = slot } = {}) => {
+        let options = { target: goal };
+        if (daily) options.seed = `${dailySeed()}-${size}`;
+        // The abandoned game must not come back as "Continue" if the app closes before the first move
+        saveSlots.clear(slotNumber);
+        setGame(new GameManager(size, options));
+        playStartRef.current = Date.now();
+        setHint(null);
+        setAutoplay(false);
+    };
+
+    // Starting over from the board throws the current game away, so it still counts
+    const abandonGame = (options) => {
+        recordGame();
+        restartGame(options);
+    };
+
+    const applySettings = (settings) => {
+        setBoardSize(settings.boardSize);
+        setTarget(settings.target);
+        setDailyMode(settings.dailyMode);
+    };
+
+    const rememberSettings = (changes) => {
+        const settings = { boardSize, target, dailyMode, ...changes };
+        applySettings(settings);
+        profileManager.saveSettings('2048', settings);
+    };
+
+    const openSlot = async (number, settings = { boardSize, target, dailyMode }) => {
+        setSlot(number);
+        setAutoplay(false);
+        const save = await saveSlots.load(number);
+        if (save) {
+            setResumePrompt(save);
+        } else {
+            setResumePrompt(null);
+            restartGame({ daily: settings.dailyMode, size: settings.boardSize, goal: settings.target, slotNumber: number });
         }
     };
 
-    const restartGame = () => {
-        let newGame = new GameManager();
-        setGame(newGame);
-        setScore(0);
+    const continueSavedGame = () => {
+        const saved = GameManager.deserialize(resumePrompt.game);
+        rememberSettings({ boardSize: saved.size, target: saved.target, dailyMode: resumePrompt.daily });
+        setGame(saved);
+        playStartRef.current = Date.now() - (resumePrompt.playtime || 0);
+        setHint(null);
+        setResumePrompt(null);
+    };
+
+    const startNewGame = () => {
+        setResumePrompt(null);
+        restartGame();
+    };
+
+    const toggleDailyMode = () => {
+        rememberSettings({ dailyMode: !dailyMode });
+        abandonGame({ daily: !dailyMode });
+    };
+
+    const changeBoardSize = (size) => {
+        rememberSettings({ boardSize: size });
+        abandonGame({ size });
+    };
+
+    const changeTarget = (goal) => {
+        rememberSettings({ target: goal });
+        abandonGame({ goal });
     };
 
+    const cellSize = cellSizeFor(game.size);
+    const boardWidth = game.size * (cellSize + CELL_GAP);
+    const status = game.isGameOver() ? 'lost' : game.isWon() ? 'won' : 'playing';
+
     return (
 
         <ImageBackground source={require("../assets/images/background(1).png")} style={[styles.container]}>
             <View style={styles.header}>
                 <Image source={require("../assets/images/2048[1].png")} style={{height:"40",width:"70%"}}></Image>
+                <ProfileBadge />
             </View>
 
             <View style={styles.scoreContainer}>
-                <Text style={[styles.score, { color: "#fff" }]}>Score: {score}</Text>
+                <Text style={[styles.score, { color: "#fff" }]}>Score: {game.score}</Text>
                 <Text style={[styles.score, { color: "#fff" }]}>High Score: {highScore}</Text>
             </View>
-            <View style={[styles.grid,{opacity:1}]}>
-                {game.grid.map((row, rowIndex) => (
-                    <View key={rowIndex} style={styles.row}>
-                        {row.map((tile, colIndex) => (
-                            <View key={colIndex} style={[styles.cell, tileStyle(tile)]}>
-                                <Text style={styles.cellText}>
-                                    {tile ? tile.value : ''}
-                                </Text>
-                            </View>
-                        ))}
-                    </View>
+            <View style={styles.modeRow}>
+                <TouchableOpacity onPress={toggleDailyMode} style={[styles.button, dailyMode && styles.buttonActive]}>
+                    <Text style={styles.buttonText}>{dailyMode ? 'Daily' : 'Random'}</Text>
+                </TouchableOpacity>
+                <Text style={styles.seedText}>Seed: {game.seed}</Text>
+            </View>
+            <View style={styles.modeRow}>
+                {Array.from({ length: saveSlots.slotCount }, (_, i) => i + 1).map(number => (
+                    <TouchableOpacity key={number} onPress={() => openSlot(number)} style={[styles.modeButton, slot === number && styles.buttonActive]}>
+                        <Text style={styles.modeButtonText}>Slot {number}</Text>
+                    </TouchableOpacity>
                 ))}
             </View>
-            <View style={styles.controls}>
-                <View style={styles.row}>
-                    <TouchableOpacity onPress={() => handleMove('up')} style={[styles.button ]}>
-                        <Text style={styles.buttonText}>Up</Text>
+            <View style={styles.modeRow}>
+                {BOARD_SIZES.map(size => (
+                    <TouchableOpacity key={size} onPress={() => changeBoardSize(size)} style={[styles.modeButton, boardSize === size && styles.buttonActive]}>
+                        <Text style={styles.modeButtonText}>{size}x{size}</Text>
                     </TouchableOpacity>
-                </View>
+                ))}
+            </View>
+            <View style={styles.modeRow}>
+                {TARGETS.map(goal => (
+                    <TouchableOpacity key={String(goal)} onPress={() => changeTarget(goal)} style={[styles.modeButton, target === goal && styles.buttonActive]}>
+                        <Text style={styles.modeButtonText}>{goal === null ? 'Endless' : goal}</Text>
+                    </TouchableOpacity>
+                ))}
+            </View>
+            <SwipeArea onSwipe={handlePlayerMove} enabled={!autoplay}>
+            <View style={[styles.grid, { width: boardWidth, height: boardWidth }]}>
+                {game.grid.map((row, rowIndex) => row.map((_, colIndex) => (
+                    <View
+                        key={`cell-${rowIndex}-${colIndex}`}
+                        style={[styles.cell, styles.tile, tileStyle(null), {
+                            width: cellSize,
+                            height: cellSize,
+                            transform: [{ translateX: cellOffset(colIndex, cellSize) }, { translateY: cellOffset(rowIndex, cellSize) }],
+                        }]}
+                    />
+                )))}
+                {boardTiles(game).map(tile => (
+                    <AnimatedTile key={tile.id} cellSize={cellSize} {...tile} />
+                ))}
+                {resumePrompt && (
+                    <View style={styles.overlay}>
+                        <Text style={styles.overlayTitle}>Slot {slot}</Text>
+                        <Text style={styles.overlayText}>
+                            {resumePrompt.game.size}x{resumePrompt.game.size} · Score: {resumePrompt.game.score} · Moves: {resumePrompt.game.moves}
+                        </Text>
+                        <View style={styles.row}>
+                            <TouchableOpacity onPress={continueSavedGame} style={styles.button}>
+                                <Text style={styles.buttonText}>Continue</Text>
+                            </TouchableOpacity>
+                            <TouchableOpacity onPress={startNewGame} style={styles.button}>
+                                <Text style={styles.buttonText}>New game</Text>
+                            </TouchableOpacity>
+                        </View>
+                    </View>
+                )}
+                {!resumePrompt && status !== 'playing' && (
+                    <View style={styles.overlay}>
+                        <Text style={styles.overlayTitle}>{status === 'won' ? 'You win!' : 'Game Over'}</Text>
+                        <Text style={styles.overlayText}>
+                            {status === 'won' ? `You reached ${game.target}. ` : ''}Score: {game.score}
+                        </Text>
+                        <View style={styles.row}>
+                            {status === 'won' && (
+                                <TouchableOpacity onPress={keepGoing} style={styles.button}>
+                                    <Text style={styles.buttonText}>Keep going</Text>
+                                </TouchableOpacity>
+                            )}
+                            {status === 'lost' && game.canUndo() && (
+                                <TouchableOpacity onPress={handleUndo} style={styles.button}>
+                                    <Text style={styles.buttonText}>Undo</Text>
+                                </TouchableOpacity>
+                            )}
+                            <TouchableOpacity onPress={() => abandonGame()} style={styles.button}>
+                                <Text style={styles.buttonText}>New game</Text>
+                            </TouchableOpacity>
+                        </View>
+                    </View>
+                )}
+            </View>
+            </SwipeArea>
+            <Text style={styles.seedText}>Swipe the board or use arrow keys / WASD</Text>
+            <View style={styles.controls}>
                 <View style={styles.row}>
-                    <TouchableOpacity onPress={() => handleMove('left')} style={[styles.button]}>
-                        <Text style={styles.buttonText}>Left</Text>
+                    <TouchableOpacity onPress={handleUndo} disabled={!game.canUndo()} style={[styles.button, !game.canUndo() && styles.buttonDisabled]}>
+                        <Text style={styles.buttonText}>Undo ({game.undosLeft === Infinity ? '∞' : game.undosLeft})</Text>
                     </TouchableOpacity>
-                    <TouchableOpacity onPress={() => handleMove('right')} style={[styles.button]}>
-                        <Text style={styles.buttonText}>Right</Text>
+                    <TouchableOpacity onPress={handleRedo} disabled={!game.canRedo()} style={[styles.button, !game.canRedo() && styles.buttonDisabled]}>
+                        <Text style={styles.buttonText}>Redo</Text>
                     </TouchableOpacity>
                 </View>
                 <View style={styles.row}>
-                    <TouchableOpacity onPress={() => handleMove('down')} style={[styles.button]}>
-                        <Text style={styles.buttonText}>Down</Text>
+                    <TouchableOpacity onPress={showHint} disabled={autoplay} style={[styles.button, autoplay && styles.buttonDisabled, hint && styles.buttonHint]}>
+                        <Text style={styles.buttonText}>{hint ? `Hint ${HINT_ARROWS[hint]}` : 'Hint'}</Text>
+                    </TouchableOpacity>
+                    <TouchableOpacity onPress={() => setAutoplay(!autoplay)} style={[styles.button, autoplay && styles.buttonActive]}>
+                        <Text style={styles.buttonText}>{autoplay ? 'Stop' : 'Autoplay'}</Text>
                     </TouchableOpacity>
                 </View>
             </View>
@@ -128,11 +413,14 @@ const App = () => {
     );
 };
 
-function newGameManagerSnapshot(game) {
-    const newGame = new GameManager();
-    newGame.grid = game.grid.map(row => row.map(tile => tile ? new Tile(tile.value, tile.row, tile.col) : null));
-    newGame.score = game.score;
-    return newGame;
+// Fit the board in ~90% of the screen width, never larger than the original 70px cells
+function cellSizeFor(size) {
+    return Math.floor(Math.min(70, (SCREEN_WIDTH * 0.9) / size - 10));
+}
+
+function tileFontSize(tile, cellSize) {
+    let digits = tile ? String(tile.value).length : 1;
+    return Math.min(24, Math.floor(cellSize / Math.max(2.5, digits * 0.75)));
 }
 
 function tileStyle(tile) {
@@ -199,7 +487,42 @@ score: {
 
     grid: {
     backgroundColor: "transparent",
-    padding: 5,
+    position: 'relative',
+},
+
+    overlay: {
+    position: 'absolute',
+    top: 0,
+    left: 0,
+    right: 0,
+    bottom: 0,
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: "rgba(10, 27, 61, 0.8)",
+    borderRadius: 6,
+    zIndex: 10,
+},
+
+    overlayTitle: {
+    fontSize: 32,
+    fontWeight: 'bold',
+    color: "#ffffff",
+    textShadowColor: "rgba(255, 45, 172, 0.8)",
+    textShadowOffset: { width: 0, height: 0 },
+    textShadowRadius: 10,
+},
+
+    overlayText: {
+    fontSize: 18,
+    color: "#ffffff",
+    marginVertical: 10,
+},
+
+    tile: {
+    position: 'absolute',
+    top: 0,
+    left: 0,
+    margin: 0,
 },
 
     row: {
@@ -260,6 +583,39 @@ buttonText: {
     fontWeight: 'bold',
     fontSize: 18,
 },
+buttonDisabled: {
+    opacity: 0.4,
+},
+buttonActive: {
+    backgroundColor: "rgba(0, 234, 255, 0.35)",
+},
+buttonHint: {
+    backgroundColor: "rgba(255, 45, 172, 0.5)",
+    borderColor: "#ff2dac",
+},
+modeRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 10,
+    gap: 10,
+},
+modeButton: {
+    backgroundColor: "rgba(255, 255, 255, 0.08)",
+    paddingVertical: 4,
+    paddingHorizontal: 8,
+    borderRadius: 6,
+    borderWidth: 1,
+    borderColor: "#00eaff",
+},
+modeButtonText: {
+    color: '#ffffff',
+    fontWeight: 'bold',
+    fontSize: 14,
+},
+seedText: {
+    color: '#ffffff',
+    fontSize: 14,
+},
 themeBtn: {
     justifyContent: "center",
     alignItems: "center",
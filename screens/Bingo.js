@@ -7,300 +7,52 @@ import {
   ImageBackground,
   ScrollView,
   Modal,Image,
+  TextInput,
 } from 'react-native';
-import AsyncStorage from '@react-native-async-storage/async-storage';
+import { ScoreManager } from '../components/ScoreManager';
+import ProfileBadge from '../components/ProfileBadge';
+import { ProfileManager } from '../components/ProfileManager';
+import { CARD_COUNTS, GameManager } from '../components/bingo/GameManager';
+import { DEFAULT_VARIANT, VARIANTS, callName } from '../components/bingo/Variants';
+import { CUSTOM_PATTERN_VARIANTS, defaultPatternFor, patternsFor } from '../components/bingo/Patterns';
+import { PatternStore } from '../components/bingo/PatternStore';
+import PatternEditor, { PatternPreview } from '../components/bingo/PatternEditor';
+import { BingoBoard } from '../components/bingo/Board';
+import { DEFAULT_HALL_URL, HallClient } from '../components/bingo/HallClient';
+import { useProfile } from '../context/ProfileProvider';
 
-// ==================== ENCAPSULATION ====================
-class BingoCell {
-  #number;
-  #isMarked;
-  
-  constructor(number) {
-    this.#number = number;
-    this.#isMarked = false;
-  }
-  
-  getNumber() {
-    return this.#number;
-  }
-  
-  isMarked() {
-    return this.#isMarked;
-  }
-  
-  mark() {
-    this.#isMarked = true;
-    return true;
-  }
-  
-  reset() {
-    this.#isMarked = false;
-  }
-}
+const profileManager = new ProfileManager();
+const patternStore = new PatternStore();
 
-// ==================== ABSTRACTION ====================
-class GameBoard {
-  constructor(size) {
-    if (this.constructor === GameBoard) {
-      throw new Error("Cannot instantiate abstract class GameBoard");
-    }
-    this.size = size;
-    this.board = [];
-    this.numbers = [];
-  }
-  
-  generateBoard() {
-    throw new Error("Method 'generateBoard()' must be implemented in subclass");
-  }
-  
-  checkWin() {
-    throw new Error("Method 'checkWin()' must be implemented in subclass");
-  }
-  
-  resetBoard() {
-    this.board.forEach(row => {
-      row.forEach(cell => cell.reset());
-    });
-  }
-}
+// patterns: ids of every pattern that wins the round; layout: how more than one card is shown
+const DEFAULT_SETTINGS = {
+  variant: DEFAULT_VARIANT,
+  patterns: [defaultPatternFor(DEFAULT_VARIANT)],
+  cards: 1,
+  autoDaub: false,
+  layout: 'scroll',
+};
 
-// ==================== INHERITANCE ====================
-class BingoBoard extends GameBoard {
-  constructor(size = 5) {
-    super(size);
-    this.winPatterns = this.#initializeWinPatterns();
-    this.completedLines = 0;
-    this.generateBoard();
-  }
-  
-  #initializeWinPatterns() {
-    const patterns = [];
-    
-    // Rows
-    for (let i = 0; i < this.size; i++) {
-      patterns.push(Array.from({ length: this.size }, (_, j) => [i, j]));
-    }
-    
-    // Columns
-    for (let j = 0; j < this.size; j++) {
-      patterns.push(Array.from({ length: this.size }, (_, i) => [i, j]));
-    }
-    
-    // Diagonals
-    patterns.push(Array.from({ length: this.size }, (_, i) => [i, i]));
-    patterns.push(Array.from({ length: this.size }, (_, i) => [i, this.size - 1 - i]));
-    
-    return patterns;
-  }
-  
-  generateBoard() {
-    this.numbers = [];
-    for (let i = 1; i <= this.size * this.size; i++) {
-      this.numbers.push(i);
-    }
-    
-    const shuffled = [...this.numbers];
-    for (let i = shuffled.length - 1; i > 0; i--) {
-      const j = Math.floor(Math.random() * (i + 1));
-      [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
-    }
-    
-    let index = 0;
-    this.board = [];
-    for (let i = 0; i < this.size; i++) {
-      const row = [];
-      for (let j = 0; j < this.size; j++) {
-        row.push(new BingoCell(shuffled[index++]));
-      }
-      this.board.push(row);
-    }
-    
-    for (let i = this.numbers.length - 1; i > 0; i--) {
-      const j = Math.floor(Math.random() * (i + 1));
-      [this.numbers[i], this.numbers[j]] = [this.numbers[j], this.numbers[i]];
-    }
-  }
-  
-  checkWin() {
-    return this.board.every(row => row.every(cell => cell.isMarked()));
-  }
-  
-  checkNewLine() {
-    let currentLines = 0;
-    
-    this.winPatterns.forEach((pattern) => {
-      if (pattern.every(([row, col]) => this.board[row][col].isMarked())) {
-        currentLines++;
-      }
-    });
-    
-    if (currentLines > this.completedLines) {
-      this.completedLines = currentLines;
-      return true;
-    }
-    return false;
-  }
-  
-  markCell(number) {
-    for (let i = 0; i < this.size; i++) {
-      for (let j = 0; j < this.size; j++) {
-        const cell = this.board[i][j];
-        if (cell.getNumber() === number) {
-          return cell.mark();
-        }
-      }
-    }
-    return false;
-  }
-  
-  getCell(row, col) {
-    return this.board[row][col];
-  }
-}
+const LAYOUTS = [
+  { id: 'scroll', label: 'Scroll' },
+  { id: 'paged', label: 'Paged' },
+];
 
-// ==================== POLYMORPHISM ====================
-class TimedBingoBoard extends BingoBoard {
-  constructor(size, difficulty) {
-    super(size);
-    this.difficulty = difficulty;
-    this.callInterval = this.#getCallInterval();
-  }
-  
-  #getCallInterval() {
-    switch (this.difficulty) {
-      case 'easy':
-        return 3000;
-      case 'medium':
-        return 2500;
-      case 'hard':
-        return 2000;
-      default:
-        return 3000;
-    }
-  }
-  
-  getCallInterval() {
-    return this.callInterval;
-  }
-  
-  getBonusTime() {
-    switch (this.difficulty) {
-      case 'easy':
-        return 15;
-      case 'medium':
-        return 12;
-      case 'hard':
-        return 10;
-      default:
-        return 10;
-    }
-  }
-}
+// Report figures are null when there was nothing to measure, and missing on older scores
+const formatAccuracy = (accuracy) => (accuracy == null ? '—' : `${Math.round(accuracy * 100)}%`);
+const formatReaction = (ms) => (ms == null ? '—' : `${(ms / 1000).toFixed(2)}s`);
+
+// Calls shown under the current one
+const RECENT_CALLS = 5;
 
-// ==================== GAME MANAGER ====================
-class GameManager {
-  #board;
-  #currentNumberIndex;
-  #timeRemaining;
-  #score;
-  #linesCompleted;
-  
-  constructor(difficulty = 'medium') {
-    this.difficulty = difficulty;
-    this.#board = new TimedBingoBoard(5, difficulty);
-    this.#currentNumberIndex = -1;
-    this.#timeRemaining = 60;
-    this.#score = 0;
-    this.#linesCompleted = 0;
-  }
-  
-  getBoard() {
-    return this.#board;
-  }
-  
-  getCurrentNumber() {
-    if (this.#currentNumberIndex >= 0 && this.#currentNumberIndex < this.#board.numbers.length) {
-      return this.#board.numbers[this.#currentNumberIndex];
-    }
-    return null;
-  }
-  
-  getTimeRemaining() {
-    return this.#timeRemaining;
-  }
-  
-  getScore() {
-    return this.#score;
-  }
-  
-  getLinesCompleted() {
-    return this.#linesCompleted;
-  }
-  
-  decrementTime() {
-    this.#timeRemaining--;
-    return this.#timeRemaining;
-  }
-  
-  addBonusTime() {
-    const bonus = this.#board.getBonusTime();
-    this.#timeRemaining += bonus;
-    return bonus;
-  }
-  
-  callNextNumber() {
-    this.#currentNumberIndex++;
-    
-    if (this.#currentNumberIndex >= this.#board.numbers.length) {
-      this.#currentNumberIndex = 0;
-    }
-    
-    return this.#board.numbers[this.#currentNumberIndex];
-  }
-  
-  markNumber(number) {
-    const marked = this.#board.markCell(number);
-    if (marked) {
-      this.#score += 10;
-      
-      if (this.#board.checkNewLine()) {
-        this.#linesCompleted++;
-        const bonus = this.addBonusTime();
-        return { 
-          success: true, 
-          lineCompleted: true, 
-          bonusTime: bonus
-        };
-      }
-      
-      return { success: true };
-    }
-    
-    return { success: false };
-  }
-  
-  checkGameStatus() {
-    if (this.#timeRemaining <= 0) {
-      return { status: 'lost' };
-    }
-    
-    if (this.#board.checkWin()) {
-      return { status: 'won' };
-    }
-    
-    return { status: 'playing' };
-  }
-}
 
 // ==================== STORAGE MANAGER ====================
 class StorageManager {
+  #scores = new ScoreManager('bingo');
+
   async saveScore(scoreData) {
     try {
-      const timestamp = Date.now();
-      await AsyncStorage.setItem(
-        `bingo-score:${timestamp}`,
-        JSON.stringify(scoreData)
-      );
+      await this.#scores.recordGame(scoreData);
       return true;
     } catch (error) {
       console.error('Error saving score:', error);
@@ -310,19 +62,7 @@ class StorageManager {
   
   async loadHighScores() {
     try {
-      const allKeys = await AsyncStorage.getAllKeys();
-      const bingoKeys = allKeys.filter(key => key.startsWith('bingo-score:'));
-      
-      if (bingoKeys.length === 0) return [];
-      
-      const scores = await AsyncStorage.multiGet(bingoKeys);
-      const validScores = scores
-        .map(([key, value]) => (value ? JSON.parse(value) : null))
-        .filter(s => s !== null)
-        .sort((a, b) => b.score - a.score)
-        .slice(0, 5);
-      
-      return validScores;
+      return await this.#scores.getLeaderboard(5);
     } catch (error) {
       console.log('No previous scores found');
       return [];
@@ -330,26 +70,339 @@ class StorageManager {
   }
 }
 
+// ==================== CARD ====================
+/**
+ * One card's grid, with its letters and its own line count
+ */
+const BingoCard = ({ grid, board, spec, label, winningCells, onCellPress, disabled }) => {
+  const compact = spec.cols > 5;
+  return (
+    <View style={styles.boardContainer}>
+      {label && (
+        <Text style={styles.cardLabel}>
+          {label} · {board.completedLines} {board.completedLines === 1 ? 'line' : 'lines'}
+        </Text>
+      )}
+      {spec.letters && (
+        <View style={styles.boardRow}>
+          {spec.letters.map(letter => (
+            <Text key={letter} style={[styles.cell, styles.letterCell]}>{letter}</Text>
+          ))}
+        </View>
+      )}
+      {grid.map((row, rowIndex) => (
+        <View key={rowIndex} style={styles.boardRow}>
+          {row.map((cell, colIndex) => (
+            <TouchableOpacity
+              key={colIndex}
+              style={[
+                styles.cell,
+                compact && styles.cellCompact,
+                cell.isMarked() && styles.cellMarked,
+                cell.isBlank() && styles.cellBlank,
+                winningCells.has(`${rowIndex},${colIndex}`) && styles.cellWinning,
+              ]}
+              onPress={() => onCellPress(rowIndex, colIndex)}
+              disabled={disabled || cell.isMarked() || cell.isBlank()}
+            >
+              <Text style={[
+                styles.cellText,
+                compact && styles.cellTextCompact,
+                cell.isMarked() && styles.cellTextMarked
+              ]}>
+                {cell.isFree() ? 'FREE' : cell.getNumber()}
+              </Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+      ))}
+    </View>
+  );
+};
+
+// ==================== BINGO HALL ====================
+/**
+ * Online play against other players in a bingo hall (backend/bingo-hall):
+ * connect, pick or open a room, then play to the hall's caller
+ */
+const BingoHallView = ({ variant, patterns, onExit }) => {
+  const { profile } = useProfile();
+  const [url, setUrl] = useState(DEFAULT_HALL_URL);
+  const [phase, setPhase] = useState('connect');
+  const [rooms, setRooms] = useState([]);
+  const [roomCode, setRoomCode] = useState('');
+  const [room, setRoom] = useState(null);
+  const [players, setPlayers] = useState([]);
+  const [card, setCard] = useState(null);
+  const [grid, setGrid] = useState([]);
+  const [called, setCalled] = useState([]);
+  const [winner, setWinner] = useState(null);
+  const [message, setMessage] = useState(null);
+  const clientRef = useRef(null);
+  // The room's variant, for laying out the card when the hall deals it
+  const variantRef = useRef(variant);
+  
+  useEffect(() => () => clientRef.current?.close(), []);
+  
+  const connect = async () => {
+    const client = new HallClient(url.trim());
+    setMessage(null);
+    try {
+      await client.connect();
+    } catch (error) {
+      setMessage(error.message);
+      return;
+    }
+    
+    client.on('rooms', ({ rooms: list }) => setRooms(list));
+    client.on('joined', joined => {
+      variantRef.current = joined.variant;
+      setRoom(joined);
+      setPlayers(joined.players);
+      setPhase('room');
+      setMessage(null);
+    });
+    client.on('players', ({ players: list }) => setPlayers(list));
+    client.on('started', ({ seed }) => {
+      const newCard = new BingoBoard(variantRef.current, { seed });
+      setCard(newCard);
+      setGrid([...newCard.board]);
+      setCalled([]);
+      setWinner(null);
+      setMessage(null);
+      setPhase('playing');
+    });
+    client.on('call', ({ number }) => setCalled(current => [...current, number]));
+    client.on('rejected', ({ reason }) => setMessage(`Claim rejected: ${reason}`));
+    client.on('winner', result => {
+      setWinner(result);
+      setPhase('over');
+    });
+    client.on('finished', () => {
+      setWinner(null);
+      setMessage('Every ball has been called with no winner');
+      setPhase('over');
+    });
+    client.on('error', ({ message: text }) => setMessage(text));
+    client.on('closed', () => {
+      setRoom(null);
+      setPhase('connect');
+      setMessage('Lost the connection to the hall');
+    });
+    
+    clientRef.current = client;
+    setPhase('lobby');
+    client.listRooms();
+  };
+  
+  const leaveRoom = () => {
+    clientRef.current.leaveRoom();
+    setRoom(null);
+    setPhase('lobby');
+    clientRef.current.listRooms();
+  };
+  
+  const exit = () => {
+    clientRef.current?.close();
+    clientRef.current = null;
+    onExit();
+  };
+  
+  // Daub anything the hall has called; the hall checks the claim itself
+  const handleCellPress = (row, col) => {
+    const number = card.getCell(row, col).getNumber();
+    if (!called.includes(number)) return;
+    card.markCell(number);
+    setGrid([...card.board]);
+  };
+  
+  const name = profile?.name || 'Player';
+  const me = players.find(player => player.id === room?.playerId);
+  const spec = room ? VARIANTS[room.variant] : VARIANTS[variant];
+  const lastCall = called.length ? called[called.length - 1] : null;
+  const winningCells = new Set(
+    winner && winner.playerId === room?.playerId ? winner.cells.map(([r, c]) => `${r},${c}`) : []
+  );
+  
+  return (
+    <View style={styles.hallPanel}>
+      <Text style={styles.hallTitle}>🌐 Bingo Hall</Text>
+      
+      {phase === 'connect' && (
+        <>
+          <TextInput
+            value={url}
+            onChangeText={setUrl}
+            autoCapitalize="none"
+            autoCorrect={false}
+            placeholder={DEFAULT_HALL_URL}
+            placeholderTextColor="#888"
+            style={styles.hallInput}
+          />
+          <TouchableOpacity style={styles.hallButton} onPress={connect}>
+            <Text style={styles.hallButtonText}>Connect</Text>
+          </TouchableOpacity>
+        </>
+      )}
+      
+      {phase === 'lobby' && (
+        <>
+          {rooms.length === 0 && <Text style={styles.hallText}>No rooms open yet</Text>}
+          {rooms.map(item => (
+            <TouchableOpacity
+              key={item.code}
+              style={styles.hallRoom}
+              onPress={() => clientRef.current.joinRoom(item.code, name)}
+              disabled={item.started}
+            >
+              <Text style={styles.hallText}>
+                {item.code} · {VARIANTS[item.variant].label} · {item.host}
+              </Text>
+              <Text style={styles.hallText}>
+                {item.started ? 'Playing' : `${item.players} waiting`}
+              </Text>
+            </TouchableOpacity>
+          ))}
+          <View style={styles.optionRow}>
+            <TouchableOpacity style={styles.diffButton} onPress={() => clientRef.current.listRooms()}>
+              <Text style={styles.diffButtonText}>Refresh</Text>
+            </TouchableOpacity>
+            <TouchableOpacity
+              style={styles.diffButton}
+              onPress={() => clientRef.current.createRoom(name, { variant, patterns })}
+            >
+              <Text style={styles.diffButtonText}>Open a room</Text>
+            </TouchableOpacity>
+          </View>
+          <View style={styles.optionRow}>
+            <TextInput
+              value={roomCode}
+              onChangeText={setRoomCode}
+              autoCapitalize="characters"
+              maxLength={4}
+              placeholder="CODE"
+              placeholderTextColor="#888"
+              style={[styles.hallInput, styles.hallCodeInput]}
+            />
+            <TouchableOpacity
+              style={styles.diffButton}
+              onPress={() => clientRef.current.joinRoom(roomCode, name)}
+              disabled={roomCode.length < 4}
+            >
+              <Text style={styles.diffButtonText}>Join</Text>
+            </TouchableOpacity>
+          </View>
+        </>
+      )}
+      
+      {room && phase !== 'lobby' && phase !== 'connect' && (
+        <Text style={styles.hallText}>
+          Room {room.room} · {VARIANTS[room.variant].label} · {room.patterns.map(item => item.name).join(', ')}
+        </Text>
+      )}
+      
+      {(phase === 'room' || phase === 'over') && (
+        <>
+          {phase === 'over' && winner && (
+            <Text style={styles.hallWinner}>
+              {winner.playerId === room.playerId ? 'You win' : `${winner.name} wins`} with {winner.pattern.name}!
+            </Text>
+          )}
+          {players.map(player => (
+            <Text key={player.id} style={styles.hallText}>
+              {player.host ? '👑 ' : ''}{player.name}{player.id === room.playerId ? ' (you)' : ''}
+            </Text>
+          ))}
+          {me?.host ? (
+            <TouchableOpacity style={styles.hallButton} onPress={() => clientRef.current.start()}>
+              <Text style={styles.hallButtonText}>{phase === 'over' ? 'Play again' : 'Start game'}</Text>
+            </TouchableOpacity>
+          ) : (
+            <Text style={styles.hallText}>Waiting for the host to start…</Text>
+          )}
+        </>
+      )}
+      
+      {(phase === 'playing' || phase === 'over') && card && (
+        <>
+          <View style={styles.currentNumberBox}>
+            <Text style={styles.currentNumberLabel}>CALL {called.length}</Text>
+            <Text style={styles.currentNumber}>{lastCall !== null ? callName(spec, lastCall) : '--'}</Text>
+          </View>
+          <BingoCard
+            grid={grid}
+            board={card}
+            spec={spec}
+            winningCells={winningCells}
+            onCellPress={handleCellPress}
+            disabled={phase !== 'playing'}
+          />
+          {phase === 'playing' && (
+            <TouchableOpacity style={[styles.hallButton, styles.claimButton]} onPress={() => clientRef.current.claim()}>
+              <Text style={styles.claimText}>BINGO!</Text>
+            </TouchableOpacity>
+          )}
+        </>
+      )}
+      
+      {message && <Text style={styles.hallMessage}>{message}</Text>}
+      
+      <View style={styles.optionRow}>
+        {room && phase !== 'playing' && (
+          <TouchableOpacity style={styles.diffButton} onPress={leaveRoom}>
+            <Text style={styles.diffButtonText}>Leave room</Text>
+          </TouchableOpacity>
+        )}
+        <TouchableOpacity style={styles.diffButton} onPress={exit}>
+          <Text style={styles.diffButtonText}>Back to solo</Text>
+        </TouchableOpacity>
+      </View>
+    </View>
+  );
+};
+
 // ==================== REACT NATIVE COMPONENT ====================
 export default function SpeedBingo() {
   const [difficulty, setDifficulty] = useState('medium');
+  const [variant, setVariant] = useState(DEFAULT_SETTINGS.variant);
+  const [patterns, setPatterns] = useState(DEFAULT_SETTINGS.patterns);
+  const [customPatterns, setCustomPatterns] = useState([]);
+  const [showEditor, setShowEditor] = useState(false);
+  const [cards, setCards] = useState(DEFAULT_SETTINGS.cards);
+  const [autoDaub, setAutoDaub] = useState(DEFAULT_SETTINGS.autoDaub);
+  const [layout, setLayout] = useState(DEFAULT_SETTINGS.layout);
+  const [page, setPage] = useState(0);
+  const [online, setOnline] = useState(false);
   const [gameManager, setGameManager] = useState(() => new GameManager('medium'));
-  const [board, setBoard] = useState(gameManager.getBoard().board);
+  const [boards, setBoards] = useState(() => gameManager.getBoards().map(board => board.board));
   const [currentNumber, setCurrentNumber] = useState(null);
-  const [timeRemaining, setTimeRemaining] = useState(60);
+  const [timeRemaining, setTimeRemaining] = useState(gameManager.getTimeRemaining());
   const [score, setScore] = useState(0);
   const [linesCompleted, setLinesCompleted] = useState(0);
   const [isPlaying, setIsPlaying] = useState(false);
   const [gameStatus, setGameStatus] = useState('ready');
   const [highScores, setHighScores] = useState([]);
-  const [showWinPopup, setShowWinPopup] = useState(false);
+  const [showEndPopup, setShowEndPopup] = useState(false);
+  const [report, setReport] = useState(null);
   
   const gameTimerRef = useRef(null);
   const callTimerRef = useRef(null);
+  const gameStartRef = useRef(null);
   const storageManagerRef = useRef(new StorageManager());
   
   useEffect(() => {
     loadHighScores();
+    (async () => {
+      const custom = await patternStore.list();
+      const settings = await profileManager.getSettings('bingo', DEFAULT_SETTINGS);
+      setCustomPatterns(custom);
+      setVariant(settings.variant);
+      setPatterns(settings.patterns);
+      setCards(settings.cards);
+      setAutoDaub(settings.autoDaub);
+      setLayout(settings.layout);
+      setUpRound('medium', settings, custom);
+    })();
     return () => {
       if (gameTimerRef.current) clearInterval(gameTimerRef.current);
       if (callTimerRef.current) clearInterval(callTimerRef.current);
@@ -361,12 +414,23 @@ export default function SpeedBingo() {
     setHighScores(scores);
   };
   
-  const saveScore = async (finalScore, finalLines, finalTime) => {
+  const saveScore = async (finalScore, finalLines, finalTime, won, finalReport) => {
     const scoreData = {
       score: finalScore,
+      duration: Date.now() - gameStartRef.current,
+      won,
       lines: finalLines,
       timeRemaining: finalTime,
       difficulty: difficulty,
+      variant,
+      pattern: gameManager.getWinningPattern()?.id || null,
+      patterns,
+      cards,
+      autoDaub,
+      accuracy: finalReport.accuracy,
+      meanReaction: finalReport.meanReaction,
+      missedCalls: finalReport.missedCalls,
+      wrongTaps: finalReport.wrongTaps,
       date: new Date().toLocaleDateString(),
       timestamp: Date.now()
     };
@@ -378,6 +442,7 @@ export default function SpeedBingo() {
   const startGame = () => {
     setIsPlaying(true);
     setGameStatus('playing');
+    gameStartRef.current = Date.now();
     
     const firstNum = gameManager.callNextNumber();
     setCurrentNumber(firstNum);
@@ -391,14 +456,31 @@ export default function SpeedBingo() {
       }
     }, 1000);
     
-    const interval = gameManager.getBoard().getCallInterval();
+    const interval = gameManager.getCallInterval();
     callTimerRef.current = setInterval(() => {
       const nextNum = gameManager.callNextNumber();
+      // Every ball is out; whatever is left to daub is on the board already
+      if (nextNum === null) {
+        clearInterval(callTimerRef.current);
+        return;
+      }
       setCurrentNumber(nextNum);
-      setBoard([...gameManager.getBoard().board]);
+      refreshBoards();
+      
+      // Auto-daub may have scored, finished lines or won by itself
+      if (gameManager.autoDaub) {
+        setScore(gameManager.getScore());
+        setLinesCompleted(gameManager.getLinesCompleted());
+        setTimeRemaining(gameManager.getTimeRemaining());
+        if (gameManager.checkGameStatus().status === 'won') endGame('won');
+      }
     }, interval);
   };
   
+  const refreshBoards = (manager = gameManager) => {
+    setBoards(manager.getBoards().map(board => [...board.board]));
+  };
+  
   const endGame = async (reason) => {
     if (gameTimerRef.current) clearInterval(gameTimerRef.current);
     if (callTimerRef.current) clearInterval(callTimerRef.current);
@@ -406,25 +488,26 @@ export default function SpeedBingo() {
     setIsPlaying(false);
     setGameStatus(reason);
     
-    await saveScore(gameManager.getScore(), gameManager.getLinesCompleted(), timeRemaining);
+    const finalReport = gameManager.getReport();
+    setReport(finalReport);
+    await saveScore(gameManager.getScore(), gameManager.getLinesCompleted(), timeRemaining, reason === 'won', finalReport);
     
-    if (reason === 'won') {
-      setShowWinPopup(true);
-    }
+    if (reason === 'won') setPage(gameManager.getWinningCard());
+    setShowEndPopup(true);
   };
   
-  const handleCellPress = (row, col) => {
+  const handleCellPress = (card, row, col) => {
     if (!isPlaying) return;
     
-    const cell = gameManager.getBoard().getCell(row, col);
+    const cell = gameManager.getBoard(card).getCell(row, col);
     const number = cell.getNumber();
     
-    if (number !== currentNumber) return;
+    if (number === null) return;
     
-    const result = gameManager.markNumber(number);
+    const result = gameManager.markNumber(number, card);
     
     if (result.success) {
-      setBoard([...gameManager.getBoard().board]);
+      refreshBoards();
       setScore(gameManager.getScore());
       
       if (result.lineCompleted) {
@@ -436,23 +519,39 @@ export default function SpeedBingo() {
       if (status.status === 'won') {
         endGame('won');
       }
+    } else if (result.penalty) {
+      setScore(gameManager.getScore());
     }
   };
   
-  const handleNewGame = () => {
-    if (gameTimerRef.current) clearInterval(gameTimerRef.current);
-    if (callTimerRef.current) clearInterval(callTimerRef.current);
-    
-    const newManager = new GameManager(difficulty);
+  const currentSettings = () => ({ variant, patterns, cards, autoDaub, layout });
+  
+  // Fresh cards and caller for a difficulty, variant, set of winning patterns and card count
+  const setUpRound = (nextDifficulty, settings, custom = customPatterns) => {
+    const newManager = new GameManager(nextDifficulty, {
+      variant: settings.variant,
+      patterns: settings.patterns,
+      customPatterns: custom,
+      cards: settings.cards,
+      autoDaub: settings.autoDaub,
+    });
     setGameManager(newManager);
-    setBoard(newManager.getBoard().board);
+    refreshBoards(newManager);
+    setPage(0);
     setCurrentNumber(null);
-    setTimeRemaining(60);
+    setTimeRemaining(newManager.getTimeRemaining());
     setScore(0);
     setLinesCompleted(0);
-    setIsPlaying(false);
     setGameStatus('ready');
-    setShowWinPopup(false);
+  };
+  
+  const handleNewGame = () => {
+    if (gameTimerRef.current) clearInterval(gameTimerRef.current);
+    if (callTimerRef.current) clearInterval(callTimerRef.current);
+    
+    setUpRound(difficulty, currentSettings());
+    setIsPlaying(false);
+    setShowEndPopup(false);
     
     loadHighScores();
   };
@@ -461,16 +560,56 @@ export default function SpeedBingo() {
     if (isPlaying) return;
     
     setDifficulty(newDifficulty);
-    const newManager = new GameManager(newDifficulty);
-    setGameManager(newManager);
-    setBoard(newManager.getBoard().board);
-    setCurrentNumber(null);
-    setTimeRemaining(60);
-    setScore(0);
-    setLinesCompleted(0);
-    setGameStatus('ready');
+    setUpRound(newDifficulty, currentSettings());
+  };
+  
+  // Every round setting is remembered per profile
+  const handleSettingsChange = (changes, custom = customPatterns) => {
+    if (isPlaying) return;
+    
+    const settings = { ...currentSettings(), ...changes };
+    if (changes.variant && !changes.patterns) settings.patterns = [defaultPatternFor(changes.variant)];
+    if (settings.patterns.length === 0) settings.patterns = [defaultPatternFor(settings.variant)];
+    setVariant(settings.variant);
+    setPatterns(settings.patterns);
+    setCards(settings.cards);
+    setAutoDaub(settings.autoDaub);
+    setLayout(settings.layout);
+    profileManager.saveSettings('bingo', settings);
+    setUpRound(difficulty, settings, custom);
+  };
+  
+  // Any number of patterns can be in play at once, but never none
+  const handlePatternToggle = (id) => {
+    const next = patterns.includes(id) ? patterns.filter(item => item !== id) : [...patterns, id];
+    if (next.length > 0) handleSettingsChange({ patterns: next });
+  };
+  
+  // A freshly drawn pattern is put straight into play
+  const handlePatternSave = async (newPattern) => {
+    const custom = await patternStore.save(newPattern);
+    setCustomPatterns(custom);
+    handleSettingsChange({ patterns: [...patterns, newPattern.id] }, custom);
+  };
+  
+  const handlePatternRemove = async (id) => {
+    const custom = await patternStore.remove(id);
+    setCustomPatterns(custom);
+    handleSettingsChange({ patterns: patterns.filter(item => item !== id) }, custom);
   };
   
+  const variantSpec = VARIANTS[variant];
+  const recentCalls = gameManager.getCaller().called.slice(-RECENT_CALLS - 1, -1).reverse();
+  const canDraw = CUSTOM_PATTERN_VARIANTS.includes(variant);
+  const winningCells = new Set(gameManager.getWinningCells().map(([r, c]) => `${r},${c}`));
+  const noCells = new Set();
+  const paged = layout === 'paged' && boards.length > 1;
+  const shownCards = paged ? [page] : boards.map((_, card) => card);
+  // Cards still holding the latest call undaubed, so paging players know where to look
+  const waiting = boards.map(grid =>
+    grid.some(row => row.some(cell => cell.getNumber() === currentNumber && !cell.isMarked()))
+  );
+  
   return (
     <ImageBackground
       source={require('../assets/images/background(1).png')}
@@ -507,100 +646,225 @@ export default function SpeedBingo() {
         source={require('../assets/images/Bingo_logo.png')}
            style={styles.titleImage}
            />
+          <ProfileBadge style={styles.profileBadge} />
           
-          {/* Current Number Box */}
-          <View style={styles.currentNumberBox}>
-            <Text style={styles.currentNumberLabel}>CURRENT</Text>
-            <Text style={styles.currentNumber}>
-              {currentNumber !== null ? currentNumber : '--'}
-            </Text>
-          </View>
+          {online ? (
+            <BingoHallView
+              variant={variant}
+              patterns={patterns.filter(id => !id.startsWith('custom-'))}
+              onExit={() => setOnline(false)}
+            />
+          ) : (
+            <>
+            {/* Variant and winning pattern */}
+            <View style={styles.optionRow}>
+              {Object.values(VARIANTS).map(item => (
+                <TouchableOpacity
+                  key={item.id}
+                  style={[styles.diffButton, variant === item.id && styles.diffButtonActive]}
+                  onPress={() => handleSettingsChange({ variant: item.id })}
+                  disabled={isPlaying}
+                >
+                  <Text style={[styles.diffButtonText, variant === item.id && styles.diffButtonTextActive]}>
+                    {item.label}
+                  </Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+            <View style={styles.optionRow}>
+              {patternsFor(variant, customPatterns).map(item => (
+                <TouchableOpacity
+                  key={item.id}
+                  style={[styles.diffButton, patterns.includes(item.id) && styles.diffButtonActive]}
+                  onPress={() => handlePatternToggle(item.id)}
+                  disabled={isPlaying}
+                >
+                  <Text style={[styles.diffButtonText, patterns.includes(item.id) && styles.diffButtonTextActive]}>
+                    {item.name}
+                  </Text>
+                </TouchableOpacity>
+              ))}
+              {canDraw && (
+                <TouchableOpacity
+                  style={styles.diffButton}
+                  onPress={() => setShowEditor(true)}
+                  disabled={isPlaying}
+                >
+                  <Text style={styles.diffButtonText}>✏️ Custom</Text>
+                </TouchableOpacity>
+              )}
+            </View>
+            <View style={styles.optionRow}>
+              {CARD_COUNTS.map(count => (
+                <TouchableOpacity
+                  key={count}
+                  style={[styles.diffButton, cards === count && styles.diffButtonActive]}
+                  onPress={() => handleSettingsChange({ cards: count })}
+                  disabled={isPlaying}
+                >
+                  <Text style={[styles.diffButtonText, cards === count && styles.diffButtonTextActive]}>
+                    {count} {count === 1 ? 'Card' : 'Cards'}
+                  </Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+            <View style={styles.optionRow}>
+              <TouchableOpacity
+                style={[styles.diffButton, autoDaub && styles.diffButtonActive]}
+                onPress={() => handleSettingsChange({ autoDaub: !autoDaub })}
+                disabled={isPlaying}
+              >
+                <Text style={[styles.diffButtonText, autoDaub && styles.diffButtonTextActive]}>Auto-daub</Text>
+              </TouchableOpacity>
+              <TouchableOpacity style={styles.diffButton} onPress={() => setOnline(true)} disabled={isPlaying}>
+                <Text style={styles.diffButtonText}>🌐 Hall</Text>
+              </TouchableOpacity>
+              {cards > 1 && LAYOUTS.map(item => (
+                <TouchableOpacity
+                  key={item.id}
+                  style={[styles.diffButton, layout === item.id && styles.diffButtonActive]}
+                  onPress={() => handleSettingsChange({ layout: item.id })}
+                  disabled={isPlaying}
+                >
+                  <Text style={[styles.diffButtonText, layout === item.id && styles.diffButtonTextActive]}>
+                    {item.label}
+                  </Text>
+                </TouchableOpacity>
+              ))}
+            </View>
           
-          {/* Stats Row */}
-          <View style={styles.statsRow}>
-            <View style={styles.statBox}>
-              <Text style={styles.statIcon}>⏱️</Text>
-              <Text style={[
-                styles.statValue,
-                timeRemaining <= 10 && styles.statValueDanger
-              ]}>
-                {timeRemaining}
+            {/* Current Number Box */}
+            <View style={styles.currentNumberBox}>
+              <Text style={styles.currentNumberLabel}>CURRENT</Text>
+              <Text style={styles.currentNumber}>
+                {currentNumber !== null ? callName(variantSpec, currentNumber) : '--'}
               </Text>
+              {recentCalls.length > 0 && (
+                <Text style={styles.recentCalls}>
+                  {recentCalls.map(number => callName(variantSpec, number)).join('  ·  ')}
+                </Text>
+              )}
             </View>
-            <View style={styles.statBox}>
-              <Text style={styles.statIcon}>🎯</Text>
-              <Text style={styles.statValue}>{score}</Text>
-            </View>
-            <View style={styles.statBox}>
-              <Text style={styles.statIcon}>📊</Text>
-              <Text style={styles.statValue}>{linesCompleted}</Text>
+          
+            {/* Stats Row */}
+            <View style={styles.statsRow}>
+              <View style={styles.statBox}>
+                <Text style={styles.statIcon}>⏱️</Text>
+                <Text style={[
+                  styles.statValue,
+                  timeRemaining <= 10 && styles.statValueDanger
+                ]}>
+                  {timeRemaining}
+                </Text>
+              </View>
+              <View style={styles.statBox}>
+                <Text style={styles.statIcon}>🎯</Text>
+                <Text style={styles.statValue}>{score}</Text>
+              </View>
+              <View style={styles.statBox}>
+                <Text style={styles.statIcon}>📊</Text>
+                <Text style={styles.statValue}>{linesCompleted}</Text>
+              </View>
             </View>
-          </View>
           
-          {/* Board */}
-          <View style={styles.boardContainer}>
-            {board.map((row, rowIndex) => (
-              <View key={rowIndex} style={styles.boardRow}>
-                {row.map((cell, colIndex) => (
+            {/* Cards */}
+            {paged && (
+              <View style={styles.pager}>
+                <TouchableOpacity onPress={() => setPage((page + boards.length - 1) % boards.length)}>
+                  <Text style={styles.pagerArrow}>◀</Text>
+                </TouchableOpacity>
+                {boards.map((_, card) => (
                   <TouchableOpacity
-                    key={colIndex}
-                    style={[
-                      styles.cell,
-                      cell.isMarked() && styles.cellMarked
-                    ]}
-                    onPress={() => handleCellPress(rowIndex, colIndex)}
-                    disabled={!isPlaying || cell.isMarked()}
-                  >
-                    <Text style={[
-                      styles.cellText,
-                      cell.isMarked() && styles.cellTextMarked
-                    ]}>
-                      {cell.getNumber()}
-                    </Text>
-                  </TouchableOpacity>
+                    key={card}
+                    style={[styles.pagerDot, waiting[card] && styles.pagerDotWaiting, card === page && styles.pagerDotActive]}
+                    onPress={() => setPage(card)}
+                  />
                 ))}
+                <TouchableOpacity onPress={() => setPage((page + 1) % boards.length)}>
+                  <Text style={styles.pagerArrow}>▶</Text>
+                </TouchableOpacity>
               </View>
+            )}
+            {shownCards.map(card => (
+              <BingoCard
+                key={card}
+                grid={boards[card]}
+                board={gameManager.getBoard(card)}
+                spec={variantSpec}
+                label={boards.length > 1 ? `Card ${card + 1}` : null}
+                winningCells={gameManager.getWinningCard() === card ? winningCells : noCells}
+                onCellPress={(row, col) => handleCellPress(card, row, col)}
+                disabled={!isPlaying}
+              />
             ))}
-          </View>
           
       
-        {/* Action Button */}
-{!isPlaying && (
-  <View style={styles.centerActionButton}>
-    <TouchableOpacity
-      style={[
-        styles.actionButton,
-        gameStatus === 'ready' ? styles.startButton : styles.newGameButton
-      ]}
-      onPress={gameStatus === 'ready' ? startGame : handleNewGame}
-    >
-      <Image
-        source={
-          gameStatus === 'ready'
-            ? require('../assets/images/startgame.png')
-            : require('../assets/images/new_image.png')
-        }
-        style={styles.actionButtonIcon}
-      />
-    </TouchableOpacity>
-  </View>
-)}
+          {/* Action Button */}
+  {!isPlaying && (
+    <View style={styles.centerActionButton}>
+      <TouchableOpacity
+        style={[
+          styles.actionButton,
+          gameStatus === 'ready' ? styles.startButton : styles.newGameButton
+        ]}
+        onPress={gameStatus === 'ready' ? startGame : handleNewGame}
+      >
+        <Image
+          source={
+            gameStatus === 'ready'
+              ? require('../assets/images/startgame.png')
+              : require('../assets/images/new_image.png')
+          }
+          style={styles.actionButtonIcon}
+        />
+      </TouchableOpacity>
+    </View>
+  )}
+  
+            {highScores.length > 0 && (
+              <View style={styles.leaderboard}>
+                <Text style={styles.leaderboardTitle}>TOP 5</Text>
+                {highScores.map((entry, index) => (
+                  <View key={entry.timestamp || index} style={styles.leaderboardRow}>
+                    <Text style={styles.leaderboardRank}>{index + 1}</Text>
+                    <Text style={styles.leaderboardScore}>{entry.score}</Text>
+                    <Text style={styles.leaderboardDetail}>🎯 {formatAccuracy(entry.accuracy)}</Text>
+                    <Text style={styles.leaderboardDetail}>⚡ {formatReaction(entry.meanReaction)}</Text>
+                    <Text style={styles.leaderboardDetail}>{entry.date}</Text>
+                  </View>
+                ))}
+              </View>
+            )}
+            </>
+          )}
 
 
         </View>
       </ScrollView>
       
-      {/* Win Popup Modal */}
+      {/* End of round: win or time up, with the daubing report */}
       <Modal
-        visible={showWinPopup}
+        visible={showEndPopup}
         transparent={true}
         animationType="fade"
       >
         <View style={styles.modalOverlay}>
           <View style={styles.popup}>
-            <Text style={styles.bingoText}>BINGO!</Text>
-            <Text style={styles.popupEmoji}>🎉</Text>
-            <Text style={styles.popupTitle}>YOU WON!</Text>
+            {gameStatus === 'won' && <Text style={styles.bingoText}>BINGO!</Text>}
+            <Text style={styles.popupEmoji}>{gameStatus === 'won' ? '🎉' : '⏰'}</Text>
+            <Text style={styles.popupTitle}>{gameStatus === 'won' ? 'YOU WON!' : "TIME'S UP!"}</Text>
+            {gameManager.getWinningPattern() && (
+              <View style={styles.popupPattern}>
+                <PatternPreview
+                  pattern={{ shapes: [gameManager.getWinningCells()] }}
+                  rows={variantSpec.rows}
+                  cols={variantSpec.cols}
+                />
+                <Text style={styles.popupStatText}>
+                  Pattern: <Text style={styles.popupStatBold}>{gameManager.getWinningPattern().name}</Text>
+                </Text>
+              </View>
+            )}
             <View style={styles.popupStats}>
               <Text style={styles.popupStatText}>
                 Score: <Text style={styles.popupStatBold}>{score}</Text>
@@ -611,6 +875,22 @@ export default function SpeedBingo() {
               <Text style={styles.popupStatText}>
                 Time Left: <Text style={styles.popupStatBold}>{timeRemaining}s</Text>
               </Text>
+              {report && (
+                <>
+                  <Text style={styles.popupStatText}>
+                    Accuracy: <Text style={styles.popupStatBold}>{formatAccuracy(report.accuracy)}</Text>
+                  </Text>
+                  <Text style={styles.popupStatText}>
+                    Mean Reaction: <Text style={styles.popupStatBold}>{formatReaction(report.meanReaction)}</Text>
+                  </Text>
+                  <Text style={styles.popupStatText}>
+                    Missed Calls: <Text style={styles.popupStatBold}>{report.missedCalls}</Text>
+                  </Text>
+                  <Text style={styles.popupStatText}>
+                    Wrong Taps: <Text style={styles.popupStatBold}>{report.wrongTaps}</Text>
+                  </Text>
+                </>
+              )}
             </View>
             <TouchableOpacity style={styles.popupButton} onPress={handleNewGame}>
               <Text style={styles.popupButtonText}>PLAY AGAIN</Text>
@@ -618,6 +898,14 @@ export default function SpeedBingo() {
           </View>
         </View>
       </Modal>
+      
+      <PatternEditor
+        visible={showEditor}
+        onClose={() => setShowEditor(false)}
+        patterns={patternsFor(CUSTOM_PATTERN_VARIANTS[0], customPatterns)}
+        onSave={handlePatternSave}
+        onRemove={handlePatternRemove}
+      />
     </ImageBackground>
   );
 }
@@ -720,6 +1008,105 @@ diffButtonTextActive: {
 },
 
   
+  profileBadge: {
+    marginBottom: 10,
+  },
+
+  optionRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    justifyContent: 'center',
+    gap: 6,
+    marginBottom: 10,
+  },
+  
+  // ========== BINGO HALL ==========
+  hallPanel: {
+    width: '100%',
+    alignItems: 'center',
+    backgroundColor: 'rgba(64, 0, 128, 0.4)',
+    borderColor: '#ffffff',
+    borderWidth: 1,
+    borderRadius: 10,
+    padding: 12,
+    gap: 8,
+  },
+  
+  hallTitle: {
+    color: '#ffffff',
+    fontSize: 20,
+    fontWeight: 'bold',
+  },
+  
+  hallText: {
+    color: '#ffffff',
+    fontSize: 14,
+  },
+  
+  hallInput: {
+    width: '100%',
+    borderWidth: 2,
+    borderColor: '#ffffff',
+    borderRadius: 8,
+    color: '#ffffff',
+    paddingHorizontal: 10,
+    paddingVertical: 8,
+  },
+  
+  hallCodeInput: {
+    width: 90,
+    textAlign: 'center',
+    letterSpacing: 4,
+  },
+  
+  hallRoom: {
+    width: '100%',
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    padding: 10,
+    borderWidth: 1,
+    borderColor: '#ffffff',
+    borderRadius: 8,
+  },
+  
+  hallButton: {
+    backgroundColor: '#ff2dac',
+    paddingVertical: 10,
+    paddingHorizontal: 24,
+    borderRadius: 10,
+    borderWidth: 2,
+    borderColor: '#ffffff',
+  },
+  
+  hallButtonText: {
+    color: '#0a0018',
+    fontSize: 15,
+    fontWeight: '900',
+  },
+  
+  claimButton: {
+    backgroundColor: '#ffd700',
+  },
+  
+  claimText: {
+    color: '#333',
+    fontSize: 24,
+    fontWeight: 'bold',
+    letterSpacing: 4,
+  },
+  
+  hallWinner: {
+    color: '#ffd700',
+    fontSize: 18,
+    fontWeight: 'bold',
+  },
+  
+  hallMessage: {
+    color: '#fbbf24',
+    fontSize: 13,
+    textAlign: 'center',
+  },
+  
   // ========== CURRENT NUMBER ==========
   currentNumberBox: {
     backgroundColor: 'rgba(0, 212, 255, 0.12)',
@@ -747,6 +1134,12 @@ diffButtonTextActive: {
     textShadowRadius: 15,
   },
   
+  recentCalls: {
+    color: '#8b9dc3',
+    fontSize: 12,
+    marginTop: 4,
+  },
+  
   // ========== STATS ROW ==========
   statsRow: {
     flexDirection: 'row',
@@ -785,6 +1178,43 @@ diffButtonTextActive: {
     marginBottom: 10,
   },
   
+  cardLabel: {
+    color: '#fbbf24',
+    fontSize: 13,
+    fontWeight: 'bold',
+    textAlign: 'center',
+    marginBottom: 6,
+  },
+  
+  pager: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 10,
+    marginBottom: 8,
+  },
+  
+  pagerArrow: {
+    color: '#ffffff',
+    fontSize: 22,
+    paddingHorizontal: 6,
+  },
+  
+  pagerDot: {
+    width: 12,
+    height: 12,
+    borderRadius: 6,
+    backgroundColor: 'rgba(255, 255, 255, 0.3)',
+  },
+  
+  pagerDotWaiting: {
+    backgroundColor: '#fbbf24',
+  },
+  
+  pagerDotActive: {
+    borderWidth: 2,
+    borderColor: '#ffffff',
+  },
+  
   boardRow: {
     flexDirection: 'row',
     gap: 5,
@@ -802,17 +1232,47 @@ diffButtonTextActive: {
     justifyContent: 'center',
   },
   
+  cellCompact: {
+    width: 36,
+    height: 42,
+    borderRadius: 6,
+  },
+  
+  cellBlank: {
+    backgroundColor: 'transparent',
+    borderColor: 'rgba(42, 63, 95, 0.4)',
+  },
+  
+  letterCell: {
+    height: 30,
+    backgroundColor: 'transparent',
+    borderWidth: 0,
+    color: '#fbbf24',
+    fontSize: 20,
+    fontWeight: 'bold',
+    textAlign: 'center',
+  },
+  
   cellMarked: {
     backgroundColor: '#2ecc71',
     borderColor: '#27ae60',
   },
   
+  cellWinning: {
+    backgroundColor: '#ff2dac',
+    borderColor: '#ffffff',
+  },
+  
   cellText: {
     color: '#8b9dc3',
     fontSize: 16,
     fontWeight: 'bold',
   },
   
+  cellTextCompact: {
+    fontSize: 13,
+  },
+  
   cellTextMarked: {
     color: '#fff',
   },
@@ -842,6 +1302,49 @@ actionButtonIcon: {
 },
 
   
+  // ========== LEADERBOARD ==========
+  leaderboard: {
+    width: '100%',
+    backgroundColor: 'rgba(205, 250, 255, 0.15)',
+    borderRadius: 10,
+    padding: 10,
+    marginTop: 15,
+  },
+  
+  leaderboardTitle: {
+    color: '#fbbf24',
+    fontSize: 14,
+    fontWeight: 'bold',
+    textAlign: 'center',
+    marginBottom: 6,
+  },
+  
+  leaderboardRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 10,
+    paddingVertical: 3,
+  },
+  
+  leaderboardRank: {
+    color: '#8b9dc3',
+    fontSize: 13,
+    fontWeight: 'bold',
+    width: 14,
+  },
+  
+  leaderboardScore: {
+    color: '#ffffff',
+    fontSize: 15,
+    fontWeight: 'bold',
+    minWidth: 40,
+  },
+  
+  leaderboardDetail: {
+    color: '#ffffff',
+    fontSize: 12,
+  },
+  
   // ========== WIN POPUP ==========
   modalOverlay: {
     flex: 1,
@@ -897,6 +1400,12 @@ actionButtonIcon: {
     fontWeight: 'bold',
   },
   
+  popupPattern: {
+    alignItems: 'center',
+    gap: 8,
+    marginBottom: 10,
+  },
+  
   popupButton: {
     backgroundColor: '#ffd700',
     paddingVertical: 12,
@@ -1,11 +1,13 @@
 import React from 'react';
 import { View, StyleSheet } from 'react-native';
 import GameManager from '../components/connect4/GameManager';
+import ProfileBadge from '../components/ProfileBadge';
 
 export default function Connect4Game() {
   return (
     <View style={styles.container}>
       <GameManager />
+      <ProfileBadge style={styles.profileBadge} />
     </View>
   );
 }
@@ -14,4 +16,9 @@ const styles = StyleSheet.create({
   container: {
     flex: 1,
   },
+  profileBadge: {
+    position: 'absolute',
+    top: 40,
+    right: 16,
+  },
 });
\ No newline at end of file
@@ -12,6 +12,8 @@ import {
 import ground from "../assets/images/flappy-ground.png"; 
 import bg from "../assets/images/flappy-background.png";
 import birdSprite from "../assets/images/flappybird.png";
+import { ScoreManager } from "../components/ScoreManager";
+import ProfileBadge from "../components/ProfileBadge";
 
 const { width: SCREEN_WIDTH, height: SCREEN_HEIGHT } = Dimensions.get("window");
 
@@ -123,6 +125,8 @@ class Pipe {
   }
 }
 
+const scoreManager = new ScoreManager("flappybird");
+
 const FlappyBirdApp = () => {
   const [gameState, setGameState] = useState("ready");
   const [highScore, setHighScore] = useState(0);
@@ -135,11 +139,17 @@ const FlappyBirdApp = () => {
   });
 
   const lastSpawnTimeRef = useRef(0);
+  const startTimeRef = useRef(Date.now());
+
+  useEffect(() => {
+    scoreManager.getHighScore().then(setHighScore);
+  }, []);
 
   const updateHighScore = (newScore) => {
     if (newScore > highScore) {
       setHighScore(newScore);
     }
+    scoreManager.recordGame({ score: newScore, duration: Date.now() - startTimeRef.current });
   };
 
   const spawnPipe = () => {
@@ -240,6 +250,7 @@ const FlappyBirdApp = () => {
       score: 0,
     };
     lastSpawnTimeRef.current = 0;
+    startTimeRef.current = Date.now();
     spawnPipe();
   };
 
@@ -309,6 +320,7 @@ const FlappyBirdApp = () => {
     <TouchableWithoutFeedback onPress={jump}>
       <View style={styles.container}>
         <ImageBackground source={bg} style={styles.sky} resizeMode="cover">
+          <ProfileBadge style={styles.profileBadge} />
           {renderGameContent()}
           {renderPipes()}
 
@@ -336,6 +348,12 @@ const FlappyBirdApp = () => {
 };
 
 const styles = StyleSheet.create({
+  profileBadge: {
+    position: "absolute",
+    top: 40,
+    left: 10,
+    zIndex: 5,
+  },
   container: {
     flex: 1,
     backgroundColor: "#050014",},
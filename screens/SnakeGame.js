@@ -1,5 +1,6 @@
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useRef, useCallback } from 'react';
 import {
+  AppState,
   View,
   Text,
   TouchableOpacity,
@@ -7,349 +8,128 @@ import {
   ImageBackground,
   Image,
 } from 'react-native';
-import AsyncStorage from '@react-native-async-storage/async-storage';
+import { useFocusEffect } from '@react-navigation/native';
+import { ScoreManager } from '../components/ScoreManager';
+import ProfileBadge from '../components/ProfileBadge';
+import { ProfileManager } from '../components/ProfileManager';
+import { ARROW_KEYS, SwipeArea, WASD_KEYS, useKeyboardDirections } from '../components/SwipeInput';
+import { GameManager } from '../components/snake/GameManager';
+import { CPU_DIFFICULTIES } from '../components/snake/CpuSnake';
+import { MODES, MAZES } from '../components/snake/Levels';
+import { GRID_SIZE, CELL_SIZE } from '../components/snake/constants';
+
+const profileManager = new ProfileManager();
+
+const DIRECTION_VECTORS = {
+  up: { x: 0, y: -1 },
+  down: { x: 0, y: 1 },
+  left: { x: -1, y: 0 },
+  right: { x: 1, y: 0 },
+};
+
+// Short, quick swipes: a snake needs turns faster than a puzzle board does
+const SWIPE_THRESHOLDS = { minDistance: 20, minVelocity: 300 };
+
+// Every maze gets its own high scores, as they differ a lot in difficulty
+const scoreBucket = (mode, maze) => (mode === 'maze' ? `maze-${maze}` : mode);
+
+// Who's on the board: one player, two sharing the device, or one against the computer
+const PLAY_STYLES = [
+  { id: 'solo', label: 'Solo' },
+  { id: 'versus', label: '2 Players' },
+  { id: 'cpu', label: 'vs CPU' },
+];
+
+const playersFor = (playStyle, difficulty) => {
+  if (playStyle === 'versus') return [{}, {}];
+  if (playStyle === 'cpu') return [{ name: 'You' }, { name: 'CPU', emoji: '🤖', control: 'cpu', difficulty }];
+  return [{}];
+};
+
+const DEFAULT_SETTINGS = { mode: 'classic', maze: MAZES[0].id, playStyle: 'solo', difficulty: 'normal' };
+
+/**
+ * On-screen arrows; two-player games get one set each
+ */
+const DirectionPad = ({ onTurn, disabled, color }) => (
+  <View>
+    <View style={styles.controlRow}>
+      <TouchableOpacity
+        onPress={() => onTurn({ x: 0, y: -1 })}
+        disabled={disabled}
+        style={[
+          styles.controlButton,
+          color && { borderColor: color },
+          disabled && styles.controlButtonDisabled,
+        ]}
+      >
+        <Text style={styles.controlButtonText}>▲</Text>
+      </TouchableOpacity>
+    </View>
+
+    <View style={styles.controlRow}>
+      <TouchableOpacity
+        onPress={() => onTurn({ x: -1, y: 0 })}
+        disabled={disabled}
+        style={[
+          styles.controlButton,
+          color && { borderColor: color },
+          disabled && styles.controlButtonDisabled,
+        ]}
+      >
+        <Text style={styles.controlButtonText}>◀</Text>
+      </TouchableOpacity>
+
+      <View style={styles.controlButtonSpacer} />
+
+      <TouchableOpacity
+        onPress={() => onTurn({ x: 1, y: 0 })}
+        disabled={disabled}
+        style={[
+          styles.controlButton,
+          color && { borderColor: color },
+          disabled && styles.controlButtonDisabled,
+        ]}
+      >
+        <Text style={styles.controlButtonText}>▶</Text>
+      </TouchableOpacity>
+    </View>
+
+    <View style={styles.controlRow}>
+      <TouchableOpacity
+        onPress={() => onTurn({ x: 0, y: 1 })}
+        disabled={disabled}
+        style={[
+          styles.controlButton,
+          color && { borderColor: color },
+          disabled && styles.controlButtonDisabled,
+        ]}
+      >
+        <Text style={styles.controlButtonText}>▼</Text>
+      </TouchableOpacity>
+    </View>
+  </View>
+);
 
-const GRID_SIZE = 20;
-const CELL_SIZE = 15;
-const INITIAL_SPEED = 200;
 
+class StorageManager {
+  #scores;
 
-class GameObject {
-  #x;
-  #y;
-
-  constructor(x, y) {
-    this.#x = x;
-    this.#y = y;
-  }
-
-  get x() {
-    return this.#x;
-  }
-
-  get y() {
-    return this.#y;
-  }
-
-
-  set x(value) {
-    this.#x = value;
-  }
-
-  set y(value) {
-    this.#y = value;
-  }
-
-
-  getPosition() {
-    return { x: this.#x, y: this.#y };
-  }
-
-  render() {
-    throw new Error('ERROR! RENDER SHOULD BE IMPLEMENTED BY SUBCLASS');
-  }
-}
-
-class Food extends GameObject {
-  #type;
-  #points;
-  #color;
-
-  constructor(x, y, type = 'normal') {
-    super(x, y); 
-    this.#type = type;
-    this.#points = type === 'special' ? 5 : 1;
-    this.#color = type === 'special' ? '#fbbf24' : '#ef4444';
-  }
-
-  get type() {
-    return this.#type;
-  }
-
-  get points() {
-    return this.#points;
-  }
-
-  get color() {
-    return this.#color;
-  }
-
-  render() {
-    return {
-      position: this.getPosition(),
-      color: this.#color,
-      size: this.#type === 'special' ? CELL_SIZE * 1.2 : CELL_SIZE,
-      borderRadius: this.#type === 'special' ? 50 : 2,
-    };
-  }
-
-  isEatenBy(snakeHead) {
-    return this.x === snakeHead.x && this.y === snakeHead.y;
-  }
-}
-
-class SnakeSegment extends GameObject {
-  #isHead;
-  #color;
-
-constructor(x, y, isHead = false) {
-  super(x, y);
-  this.#isHead = isHead;
-
-  this.image = isHead
-    ? require('../assets/images/snake_head.png')
-    : null;
-
-  this.#color = isHead
-    ? null
-    : '#8b5cf6';
-}
-
-  get isHead() {
-    return this.#isHead;
-  }
-
-  set isHead(value) {
-    this.#isHead = value;
-    this.#color = value ? '#a78bfa' : '#8b5cf6';
-  }
-
-  get color() {
-    return this.#color;
-  }
-
-  render() {
-    return {
-      position: this.getPosition(),
-      isHead: this.#isHead,
-      color: this.#color,
-      size: CELL_SIZE,
-    };
-  }
-}
-
-class Snake {
-  #segments;
-  #direction;
-  #nextDirection;
-  #growing;
-
-  constructor(initialLength = 3) {
-    this.#segments = [];
-    this.#direction = { x: 1, y: 0 };
-    this.#nextDirection = { x: 1, y: 0 };
-    this.#growing = false;
-
-    for (let i = 0; i < initialLength; i++) {
-      this.#segments.push(
-        new SnakeSegment(
-          initialLength - i,
-          Math.floor(GRID_SIZE / 2),
-          i === 0
-        )
-      );
-    }
-  }
-
-  get head() {
-    return this.#segments[0];
-  }
-
-  get body() {
-    return this.#segments;
-  }
-
-  get length() {
-    return this.#segments.length;
-  }
-
-  get direction() {
-    return this.#nextDirection;
-  }
-
-  setDirection(newDirection) {
-    if (
-      newDirection.x !== -this.#direction.x ||
-      newDirection.y !== -this.#direction.y
-    ) {
-      this.#nextDirection = newDirection;
-    }
-  }
-
-  grow() {
-    this.#growing = true;
-  }
-
-  move() {
-    this.#direction = this.#nextDirection;
-
-    const newHead = new SnakeSegment(
-      this.head.x + this.#direction.x,
-      this.head.y + this.#direction.y,
-      true
-    );
-
-    this.#segments[0].isHead = false;
-
-    this.#segments.unshift(newHead);
-
-    if (!this.#growing) {
-      this.#segments.pop();
-    }
-    this.#growing = false;
-  }
-
-  checkSelfCollision() {
-    for (let i = 1; i < this.#segments.length; i++) {
-      if (
-        this.head.x === this.#segments[i].x &&
-        this.head.y === this.#segments[i].y
-      ) {
-        return true;
-      }
-    }
-    return false;
-  }
-
-  checkWallCollision() {
-    return (
-      this.head.x < 0 ||
-      this.head.x >= GRID_SIZE ||
-      this.head.y < 0 ||
-      this.head.y >= GRID_SIZE
-    );
-  }
-
-  render() {
-    return this.#segments.map((segment) => segment.render());
-  }
-}
-
-class GameManager {
-  #snake;
-  #food;
-  #score;
-  #isRunning;
-  #speed;
-  #level;
-
-  constructor() {
-    this.#snake = new Snake();
-    this.#food = null;
-    this.#score = 0;
-    this.#isRunning = false;
-    this.#speed = INITIAL_SPEED;
-    this.#level = 1;
-    this.spawnFood();
-  }
-
-  get snake() {
-    return this.#snake;
-  }
-
-  get food() {
-    return this.#food;
-  }
-
-  get score() {
-    return this.#score;
-  }
-
-  get isRunning() {
-    return this.#isRunning;
-  }
-
-  get speed() {
-    return this.#speed;
-  }
-
-  get level() {
-    return this.#level;
-  }
-
-  start() {
-    this.#isRunning = true;
-  }
-
-  pause() {
-    this.#isRunning = false;
-  }
-
-  spawnFood() {
-    let x, y;
-    do {
-      x = Math.floor(Math.random() * GRID_SIZE);
-      y = Math.floor(Math.random() * GRID_SIZE);
-    } while (this.#snake.body.some((seg) => seg.x === x && seg.y === y));
-
-    const isSpecial = Math.random() < 0.2;
-    this.#food = new Food(x, y, isSpecial ? 'special' : 'normal');
-  }
-
-  update() {
-    if (!this.#isRunning) return { gameOver: false };
-
-    const dir = this.#snake.direction;
-    const nextX = this.#snake.head.x + dir.x;
-    const nextY = this.#snake.head.y + dir.y;
-
-    if (
-      nextX < 0 ||
-      nextX >= GRID_SIZE ||
-      nextY < 0 ||
-      nextY >= GRID_SIZE
-    ) {
-      this.#isRunning = false;
-      return { gameOver: true };
-    }
-
-    for (let i = 0; i < this.#snake.body.length; i++) {
-      if (
-        nextX === this.#snake.body[i].x &&
-        nextY === this.#snake.body[i].y
-      ) {
-        this.#isRunning = false;
-        return { gameOver: true };
-      }
-    }
-
-    this.#snake.move();
-
-    if (this.#food.isEatenBy(this.#snake.head)) {
-      this.#score += this.#food.points;
-      this.#snake.grow();
-      this.spawnFood();
-      this.#updateLevel();
-    }
-
-    return { gameOver: false };
-  }
-
-  #updateLevel() {
-    this.#level = Math.floor(this.#score / 10) + 1;
-    this.#speed = Math.max(50, INITIAL_SPEED - (this.#level - 1) * 10);
-  }
-
-  reset() {
-    this.#snake = new Snake();
-    this.#score = 0;
-    this.#speed = INITIAL_SPEED;
-    this.#level = 1;
-    this.#isRunning = false;
-    this.spawnFood();
+  /**
+   * @param {string} bucket high score bucket: a mode id, or 'maze-<id>' for a maze
+   */
+  constructor(bucket = 'classic') {
+    this.#scores = new ScoreManager(StorageManager.gameIdFor(bucket));
   }
-}
 
-class StorageManager {
-  #storageKey;
-
-  constructor(storageKey = 'snake_high_score') {
-    this.#storageKey = storageKey;
+  // Classic keeps the original 'snake' scores
+  static gameIdFor(bucket) {
+    return bucket === 'classic' ? 'snake' : `snake-${bucket}`;
   }
 
   async saveHighScore(score) {
     try {
-      await AsyncStorage.setItem(this.#storageKey, score.toString());
+      await this.#scores.submitScore(score);
       return true;
     } catch (error) {
       console.error('Failed to save high score:', error);
@@ -359,17 +139,26 @@ class StorageManager {
 
   async loadHighScore() {
     try {
-      const score = await AsyncStorage.getItem(this.#storageKey);
-      return score ? parseInt(score) : 0;
+      return await this.#scores.getHighScore();
     } catch (error) {
       console.log('No high score found');
       return 0;
     }
   }
 
+  async recordGame(result) {
+    try {
+      await this.#scores.recordGame(result);
+      return true;
+    } catch (error) {
+      console.error('Failed to record game:', error);
+      return false;
+    }
+  }
+
   async clearHighScore() {
     try {
-      await AsyncStorage.removeItem(this.#storageKey);
+      await this.#scores.reset();
       return true;
     } catch (error) {
       console.error('Failed to clear high score:', error);
@@ -381,26 +170,22 @@ class StorageManager {
 
 export default function SnakeGame() {
   const [gameState, setGameState] = useState(null);
-  const [renderTrigger, setRenderTrigger] = useState(0);
+  const [, setRenderTrigger] = useState(0);
   const [showGameOver, setShowGameOver] = useState(false);
   const [highScore, setHighScore] = useState(0);
+  const [mode, setMode] = useState('classic');
+  const [maze, setMaze] = useState(MAZES[0].id);
+  const [playStyle, setPlayStyle] = useState('solo');
+  const [difficulty, setDifficulty] = useState('normal');
   
   const gameManagerRef = useRef(null);
   const storageManagerRef = useRef(null);
+  const startTimeRef = useRef(Date.now());
 
   useEffect(() => {
-    storageManagerRef.current = new StorageManager();
-  }, []);
-
-
-  useEffect(() => {
-    const loadHighScore = async () => {
-      if (storageManagerRef.current) {
-        const score = await storageManagerRef.current.loadHighScore();
-        setHighScore(score);
-      }
-    };
-    loadHighScore();
+    (async () => {
+      selectMode(await profileManager.getSettings('snake', DEFAULT_SETTINGS));
+    })();
   }, []);
 
 
@@ -409,6 +194,7 @@ export default function SnakeGame() {
       if (
         showGameOver &&
         gameState &&
+        !gameState.isMultiplayer &&
         gameState.score > highScore &&
         storageManagerRef.current
       ) {
@@ -424,30 +210,72 @@ export default function SnakeGame() {
   }, [showGameOver, gameState, highScore]);
 
 
-  useEffect(() => {
-    gameManagerRef.current = new GameManager();
+  // A new mode or line-up means a new board; each mode keeps its own high score
+  const selectMode = async (changes) => {
+    const next = { mode, maze, playStyle, difficulty, ...changes };
+    setMode(next.mode);
+    setMaze(next.maze);
+    setPlayStyle(next.playStyle);
+    setDifficulty(next.difficulty);
+    profileManager.saveSettings('snake', next);
+    gameManagerRef.current = new GameManager({
+      mode: next.mode,
+      maze: next.maze,
+      players: playersFor(next.playStyle, next.difficulty),
+    });
+    storageManagerRef.current = new StorageManager(scoreBucket(next.mode, next.maze));
     setGameState(gameManagerRef.current);
-  }, []);
+    setShowGameOver(false);
+    startTimeRef.current = Date.now();
+    setHighScore(await storageManagerRef.current.loadHighScore());
+  };
 
 
+  // The manager runs the clock; the screen redraws whenever a frame moved the game
   useEffect(() => {
-    if (!gameState?.isRunning) return;
+    if (!gameState) return;
 
-    const interval = setInterval(() => {
-      const result = gameState.update();
+    gameState.startLoop((result) => {
       if (result.gameOver) {
         setShowGameOver(true);
+        // High scores and stats are for solo games only
+        if (!gameState.isMultiplayer) {
+          storageManagerRef.current?.recordGame({
+            score: gameState.score,
+            duration: Date.now() - startTimeRef.current,
+            level: gameState.level,
+          });
+        }
       }
       setRenderTrigger((prev) => prev + 1);
-    }, gameState.speed);
+    });
+
+    return () => gameState.stopLoop();
+  }, [gameState]);
+
+
+  // Leaving the app or this screen pauses; playing on starts with a countdown
+  const pauseGame = useCallback(() => {
+    const game = gameManagerRef.current;
+    if (game?.isRunning) {
+      game.pause();
+      setRenderTrigger((prev) => prev + 1);
+    }
+  }, []);
 
-    return () => clearInterval(interval);
-  }, [gameState?.isRunning, gameState?.speed, renderTrigger]);
+  useEffect(() => {
+    const subscription = AppState.addEventListener('change', (state) => {
+      if (state !== 'active') pauseGame();
+    });
+    return () => subscription.remove();
+  }, [pauseGame]);
+
+  useFocusEffect(useCallback(() => pauseGame, [pauseGame]));
 
 
-  const handleDirection = (direction) => {
+  const handleDirection = (direction, player = 0) => {
     if (gameState && !showGameOver) {
-      gameState.snake.setDirection(direction);
+      gameState.steer(player, direction);
       if (!gameState.isRunning) {
         gameState.start();
         setRenderTrigger((prev) => prev + 1);
@@ -456,6 +284,20 @@ export default function SnakeGame() {
   };
 
 
+  // Swipes and arrow/WASD keys arrive as direction names
+  const handleTurn = (name, player = 0) => handleDirection(DIRECTION_VECTORS[name], player);
+
+  // Two players on one device split the keyboard (WASD and arrows) and the board (left and right half)
+  const splitControls = playStyle === 'versus';
+
+  useKeyboardDirections((name) => handleTurn(name, 0), true, splitControls ? WASD_KEYS : undefined);
+  useKeyboardDirections((name) => handleTurn(name, 1), splitControls, ARROW_KEYS);
+
+  const handleSwipe = (name, { x }) => {
+    handleTurn(name, splitControls && x > (GRID_SIZE * CELL_SIZE) / 2 ? 1 : 0);
+  };
+
+
   const handleStart = () => {
     if (gameState && !showGameOver) {
       if (gameState.isRunning) {
@@ -471,6 +313,7 @@ export default function SnakeGame() {
   const handleReset = () => {
     if (gameState) {
       gameState.reset();
+      startTimeRef.current = Date.now();
       setShowGameOver(false);
       setRenderTrigger((prev) => prev + 1);
     }
@@ -490,8 +333,18 @@ export default function SnakeGame() {
         <View style={styles.header}>
       
           <View style={styles.scoreSection}>
-            <Text style={styles.scoreLabel}>SCORE</Text>
-            <Text style={styles.scoreValue}>{gameState.score}</Text>
+            {gameState.isMultiplayer ? (
+              gameState.players.map((player) => (
+                <Text key={player.name} style={[styles.playerScore, { color: player.color }]}>
+                  {player.emoji} {player.name} {player.score}
+                </Text>
+              ))
+            ) : (
+              <>
+                <Text style={styles.scoreLabel}>SCORE</Text>
+                <Text style={styles.scoreValue}>{gameState.score}</Text>
+              </>
+            )}
           </View>
 
         
@@ -502,6 +355,7 @@ export default function SnakeGame() {
               resizeMode="contain"
             />
             <Text style={styles.levelText}>Level {gameState.level}</Text>
+            <ProfileBadge style={styles.profileBadge} />
           </View>
 
 <View style={styles.rightSectionRow}>
@@ -523,159 +377,250 @@ export default function SnakeGame() {
 
 
         </View>
-        <View style={styles.gameBoard}>
+
+        <View style={styles.modeRow}>
+          {MODES.map((item) => (
+            <TouchableOpacity
+              key={item.id}
+              onPress={() => selectMode({ mode: item.id })}
+              disabled={gameState.isRunning}
+              style={[
+                styles.modeButton,
+                mode === item.id && styles.modeButtonActive,
+                gameState.isRunning && styles.playButtonDisabled,
+              ]}
+            >
+              <Text style={styles.modeButtonText}>{item.label}</Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+        {mode === 'maze' && (
+          <View style={styles.modeRow}>
+            {MAZES.map((item) => (
+              <TouchableOpacity
+                key={item.id}
+                onPress={() => selectMode({ mode: 'maze', maze: item.id })}
+                disabled={gameState.isRunning}
+                style={[
+                  styles.modeButton,
+                  maze === item.id && styles.modeButtonActive,
+                  gameState.isRunning && styles.playButtonDisabled,
+                ]}
+              >
+                <Text style={styles.modeButtonText}>{item.name}</Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+        )}
+
+        <View style={styles.modeRow}>
+          {PLAY_STYLES.map((item) => (
+            <TouchableOpacity
+              key={item.id}
+              onPress={() => selectMode({ playStyle: item.id })}
+              disabled={gameState.isRunning}
+              style={[
+                styles.modeButton,
+                playStyle === item.id && styles.modeButtonActive,
+                gameState.isRunning && styles.playButtonDisabled,
+              ]}
+            >
+              <Text style={styles.modeButtonText}>{item.label}</Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+        {playStyle === 'cpu' && (
+          <View style={styles.modeRow}>
+            {Object.entries(CPU_DIFFICULTIES).map(([id, item]) => (
+              <TouchableOpacity
+                key={id}
+                onPress={() => selectMode({ difficulty: id })}
+                disabled={gameState.isRunning}
+                style={[
+                  styles.modeButton,
+                  difficulty === id && styles.modeButtonActive,
+                  gameState.isRunning && styles.playButtonDisabled,
+                ]}
+              >
+                <Text style={styles.modeButtonText}>{item.label}</Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+        )}
+
+        <SwipeArea onSwipe={handleSwipe} enabled={!showGameOver} thresholds={SWIPE_THRESHOLDS}>
+          <View style={styles.gameBoard}>
           
-          {Array.from({ length: GRID_SIZE + 1 }).map((_, i) => (
-            <React.Fragment key={`grid-${i}`}>
+            {Array.from({ length: GRID_SIZE + 1 }).map((_, i) => (
+              <React.Fragment key={`grid-${i}`}>
+                <View
+                  style={[
+                    styles.gridLine,
+                    {
+                      left: i * CELL_SIZE,
+                      top: 0,
+                      width: 1,
+                      height: GRID_SIZE * CELL_SIZE,
+                    },
+                  ]}
+                />
+                <View
+                  style={[
+                    styles.gridLine,
+                    {
+                      left: 0,
+                      top: i * CELL_SIZE,
+                      width: GRID_SIZE * CELL_SIZE,
+                      height: 1,
+                    },
+                  ]}
+                />
+              </React.Fragment>
+            ))}
+
+         
+            {gameState.walls.map((wall) => (
               <View
+                key={`wall-${wall.x}-${wall.y}`}
                 style={[
-                  styles.gridLine,
+                  styles.wall,
                   {
-                    left: i * CELL_SIZE,
-                    top: 0,
-                    width: 1,
-                    height: GRID_SIZE * CELL_SIZE,
+                    left: wall.x * CELL_SIZE,
+                    top: wall.y * CELL_SIZE,
+                    width: wall.render().size,
+                    height: wall.render().size,
+                    backgroundColor: wall.render().color,
                   },
                 ]}
               />
+            ))}
+
+            {gameState.foods.map((food) => {
+              const look = food.render(gameState.time);
+              return (
+                <View
+                  key={`food-${food.type}-${food.x}-${food.y}`}
+                  style={[
+                    styles.food,
+                    {
+                      left: food.x * CELL_SIZE,
+                      top: food.y * CELL_SIZE,
+                      width: look.size,
+                      height: look.size,
+                      backgroundColor: look.color,
+                      borderRadius: look.borderRadius,
+                      opacity: look.opacity,
+                    },
+                  ]}
+                >
+                  {look.icon && <Text style={styles.foodIcon}>{look.icon}</Text>}
+                </View>
+              );
+            })}
+
+       
+            {gameState.players.map((player, p) => player.snake.render().map((segment, idx) => (
               <View
+                key={`snake-${p}-${idx}`}
                 style={[
-                  styles.gridLine,
+                  styles.snakeSegment,
                   {
-                    left: 0,
-                    top: i * CELL_SIZE,
-                    width: GRID_SIZE * CELL_SIZE,
-                    height: 1,
+                    left: segment.position.x * CELL_SIZE,
+                    top: segment.position.y * CELL_SIZE,
+                    width: segment.size,
+                    height: segment.size,
+                    backgroundColor: segment.color,
+                    borderWidth: segment.isHead ? 1 : 0,
+                    borderColor: '#e0e0ff',
+                    opacity: player.alive ? 1 : 0.3,
                   },
                 ]}
-              />
-            </React.Fragment>
-          ))}
-
-         
-          {gameState.food && (
-            <View
-              style={[
-                styles.food,
-                {
-                  left: gameState.food.x * CELL_SIZE,
-                  top: gameState.food.y * CELL_SIZE,
-                  width: gameState.food.render().size,
-                  height: gameState.food.render().size,
-                  backgroundColor: gameState.food.color,
-                  borderRadius: gameState.food.render().borderRadius,
-                },
-              ]}
-            />
-          )}
-
-       
-          {gameState.snake.render().map((segment, idx) => (
-            <View
-              key={idx}
-              style={[
-                styles.snakeSegment,
-                {
-                  left: segment.position.x * CELL_SIZE,
-                  top: segment.position.y * CELL_SIZE,
-                  width: segment.size,
-                  height: segment.size,
-                  backgroundColor: segment.color,
-                  borderWidth: segment.isHead ? 1 : 0,
-                  borderColor: '#e0e0ff',
-                },
-              ]}
-            >
-              {segment.isHead && <Text style={styles.snakeEmoji}>😈</Text>}
-            </View>
-          ))}
-
-          {showGameOver && (
-            <View style={styles.gameOverOverlay}>
-              <View style={styles.gameOverBox}>
-                <Text style={styles.gameOverTitle}>GAME OVER</Text>
+              >
+                {segment.isHead && <Text style={styles.snakeEmoji}>{player.emoji}</Text>}
+              </View>
+            )))}
 
-                <Text style={styles.gameOverScoreLabel}>SCORE</Text>
-                <Text style={styles.gameOverScoreValue}>
-                  {gameState.score}
-                </Text>
+            {gameState.countdown > 0 && (
+              <View style={styles.countdownOverlay}>
+                <Text style={styles.countdownText}>{gameState.countdown}</Text>
+              </View>
+            )}
 
-                {gameState.score === highScore && gameState.score > 0 && (
-                  <Text style={styles.newHighScore}>
-                    🏆 WELL PLAYED 🏆
+            {showGameOver && (
+              <View style={styles.gameOverOverlay}>
+                <View style={styles.gameOverBox}>
+                  <Text style={styles.gameOverTitle}>
+                    {gameState.winner && !gameState.isMultiplayer ? 'BOARD FILLED' : 'GAME OVER'}
                   </Text>
-                )}
 
-                <Text style={styles.gameOverLevel}>
-                  Level {gameState.level}
-                </Text>
+                  {gameState.isMultiplayer ? (
+                    <>
+                      <Text style={[styles.gameOverWinner, { color: gameState.winner?.color || '#fbbf24' }]}>
+                        {gameState.winner ? `${gameState.winner.emoji} ${gameState.winner.name} WINS` : 'DRAW'}
+                      </Text>
+                      {gameState.players.map((player) => (
+                        <Text key={player.name} style={[styles.playerScore, { color: player.color }]}>
+                          {player.name} {player.score}
+                        </Text>
+                      ))}
+                    </>
+                  ) : (
+                    <>
+                      <Text style={styles.gameOverScoreLabel}>SCORE</Text>
+                      <Text style={styles.gameOverScoreValue}>
+                        {gameState.score}
+                      </Text>
+
+                      {gameState.score === highScore && gameState.score > 0 && (
+                        <Text style={styles.newHighScore}>
+                          🏆 WELL PLAYED 🏆
+                        </Text>
+                      )}
+                    </>
+                  )}
+
+                  <Text style={styles.gameOverLevel}>
+                    Level {gameState.level}
+                  </Text>
 
-                <TouchableOpacity
-                  onPress={handleReset}
-                  style={styles.playAgainButton}
-                >
-                  <Text style={styles.playAgainButtonText}>PLAY AGAIN</Text>
-                </TouchableOpacity>
+                  <TouchableOpacity
+                    onPress={handleReset}
+                    style={styles.playAgainButton}
+                  >
+                    <Text style={styles.playAgainButtonText}>PLAY AGAIN</Text>
+                  </TouchableOpacity>
+                </View>
               </View>
+            )}
+          </View>
+        </SwipeArea>
+
+        <View style={styles.effectRow}>
+          {gameState.activeEffects.map((effect) => (
+            <View key={`${effect.player.name}-${effect.id}`} style={[styles.effectBadge, { borderColor: effect.color }]}>
+              <Text>{gameState.isMultiplayer && effect.player.emoji}{effect.icon}</Text>
+              <Text style={[styles.effectText, { color: effect.color }]}>
+                {effect.label} {Math.ceil(effect.remaining / 1000)}s
+              </Text>
             </View>
-          )}
+          ))}
         </View>
 
         <View style={styles.controls}>
-    
-          <View style={styles.controlRow}>
-            <TouchableOpacity
-              onPress={() => handleDirection({ x: 0, y: -1 })}
-              disabled={showGameOver}
-              style={[
-                styles.controlButton,
-                showGameOver && styles.controlButtonDisabled,
-              ]}
-            >
-              <Text style={styles.controlButtonText}>▲</Text>
-            </TouchableOpacity>
-          </View>
-
-        
-          <View style={styles.controlRow}>
-            <TouchableOpacity
-              onPress={() => handleDirection({ x: -1, y: 0 })}
-              disabled={showGameOver}
-              style={[
-                styles.controlButton,
-                showGameOver && styles.controlButtonDisabled,
-              ]}
-            >
-              <Text style={styles.controlButtonText}>◀</Text>
-            </TouchableOpacity>
-
-            <View style={styles.controlButtonSpacer} />
-
-            <TouchableOpacity
-              onPress={() => handleDirection({ x: 1, y: 0 })}
-              disabled={showGameOver}
-              style={[
-                styles.controlButton,
-                showGameOver && styles.controlButtonDisabled,
-              ]}
-            >
-              <Text style={styles.controlButtonText}>▶</Text>
-            </TouchableOpacity>
-          </View>
-
-          <View style={styles.controlRow}>
-            <TouchableOpacity
-              onPress={() => handleDirection({ x: 0, y: 1 })}
-              disabled={showGameOver}
-              style={[
-                styles.controlButton,
-                showGameOver && styles.controlButtonDisabled,
-              ]}
-            >
-              <Text style={styles.controlButtonText}>▼</Text>
-            </TouchableOpacity>
-          </View>
-
+          {splitControls ? (
+            <View style={styles.splitPads}>
+              {gameState.players.map((player, index) => (
+                <DirectionPad
+                  key={player.name}
+                  onTurn={(direction) => handleDirection(direction, index)}
+                  disabled={showGameOver}
+                  color={player.color}
+                />
+              ))}
+            </View>
+          ) : (
+            <DirectionPad onTurn={handleDirection} disabled={showGameOver} />
+          )}
          
          <TouchableOpacity onPress={handleReset} style={styles.resetButton}>
   <Image
@@ -738,6 +683,9 @@ const styles = StyleSheet.create({
     marginLeft:12,
 
   },
+  profileBadge: {
+    marginTop: 6,
+  },
   levelText: {
     fontSize: 11,
     color: '#ff69b4',
@@ -792,6 +740,69 @@ const styles = StyleSheet.create({
 
   food: {
     position: 'absolute',
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  foodIcon: {
+    fontSize: CELL_SIZE * 0.8,
+  },
+  playerScore: {
+    fontSize: 14,
+    fontWeight: 'bold',
+  },
+  gameOverWinner: {
+    fontSize: 22,
+    fontWeight: 'bold',
+    marginBottom: 12,
+  },
+  splitPads: {
+    flexDirection: 'row',
+    gap: 16,
+  },
+  effectRow: {
+    flexDirection: 'row',
+    justifyContent: 'center',
+    gap: 6,
+    marginTop: 8,
+    minHeight: 26,
+  },
+  effectBadge: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 4,
+    paddingVertical: 2,
+    paddingHorizontal: 8,
+    borderWidth: 2,
+    borderRadius: 12,
+  },
+  effectText: {
+    fontSize: 12,
+    fontWeight: 'bold',
+  },
+  wall: {
+    position: 'absolute',
+    borderRadius: 2,
+  },
+  modeRow: {
+    flexDirection: 'row',
+    justifyContent: 'center',
+    gap: 6,
+    marginBottom: 8,
+  },
+  modeButton: {
+    paddingVertical: 4,
+    paddingHorizontal: 10,
+    borderWidth: 2,
+    borderColor: '#ffffff',
+    borderRadius: 4,
+  },
+  modeButtonActive: {
+    backgroundColor: 'rgba(139, 92, 246, 0.6)',
+  },
+  modeButtonText: {
+    fontSize: 13,
+    color: '#fbbf24',
+    fontWeight: 'bold',
   },
 
   snakeSegment: {
@@ -804,6 +815,22 @@ const styles = StyleSheet.create({
     fontSize: 8,
   },
 
+  countdownOverlay: {
+    position: 'absolute',
+    top: 0,
+    left: 0,
+    right: 0,
+    bottom: 0,
+    backgroundColor: 'rgba(0, 0, 0, 0.5)',
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  countdownText: {
+    fontSize: 72,
+    fontWeight: 'bold',
+    color: '#fbbf24',
+  },
+
   gameOverOverlay: {
     position: 'absolute',
     top: 0,
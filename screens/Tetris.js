@@ -1,6 +1,7 @@
-import AsyncStorage from '@react-native-async-storage/async-storage';
 import { useEffect, useRef, useState } from 'react';
 import { ImageBackground, StyleSheet, Text, TouchableOpacity, View } from "react-native";
+import { ScoreManager } from '../components/ScoreManager';
+import ProfileBadge from '../components/ProfileBadge';
 const TETROMINOS = {
   I: {
     shape: [
@@ -130,6 +131,7 @@ class TetrisGrid {
     return cleared;
   }
 }
+const scoreManager = new ScoreManager('tetris');
 function getRandomTetromino(){
   const r = Math.floor(Math.random()*TETROMINO_KEYS.length);
   return new Tetromino(TETROMINO_KEYS[r]);
@@ -144,18 +146,23 @@ const Tetris = () => {
   const [gameOver,setGameOver] = useState(false);
 
   const intervalRef = useRef(null);
+  const startTimeRef = useRef(Date.now());
   useEffect(()=>{
     (async()=>{
-      const s = await AsyncStorage.getItem('tetrisHighScore');
-      if(s) setHighScore(parseInt(s,10));
+      setHighScore(await scoreManager.getHighScore());
     })();
   },[]);
   useEffect(()=>{
     if(score > highScore){
       setHighScore(score);
-      AsyncStorage.setItem('tetrisHighScore',score.toString());
+      scoreManager.submitScore(score);
     }
   },[score,highScore]);
+  useEffect(()=>{
+    if(gameOver){
+      scoreManager.recordGame({ score, duration: Date.now() - startTimeRef.current, level });
+    }
+  },[gameOver]);
   useEffect(()=>{
     startInterval();
     return stopInterval;
@@ -242,6 +249,7 @@ const Tetris = () => {
     setScore(0);
     setLevel(1);
     setGameOver(false);
+    startTimeRef.current = Date.now();
   };
   const displayGrid = grid.clone().matrix.map(r=>[...r]);
   const {shape,row,col,color} = current;
@@ -265,6 +273,7 @@ const Tetris = () => {
     >
     <View style={styles.container}>
       <Text style={styles.title}>Tetris</Text>
+      <ProfileBadge />
       <View style={styles.scoreBox}>
         <Text style={styles.scoreText}>Score: {score}</Text>
         <Text style={styles.scoreText}>Level: {level}</Text>
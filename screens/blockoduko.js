@@ -1,335 +1,538 @@
-import AsyncStorage from '@react-native-async-storage/async-storage';
-import { useEffect, useState } from 'react';
-import { Alert, Dimensions, ImageBackground, StyleSheet, Text, TouchableOpacity, View } from 'react-native';
+import { useEffect, useRef, useState } from 'react';
+import { Dimensions, ImageBackground, InteractionManager, Platform, StyleSheet, Text, TouchableOpacity, View } from 'react-native';
+import { Gesture, GestureDetector } from 'react-native-gesture-handler';
+import { ScoreManager } from '../components/ScoreManager';
+import { ProfileManager } from '../components/ProfileManager';
+import { SaveSlots } from '../components/SaveSlots';
+import ProfileBadge from '../components/ProfileBadge';
+import { Grid, canAnyBlockBePlaced } from '../components/blockoduko/Grid';
+import { Block, BlockGenerator, levelFor } from '../components/blockoduko/Blocks';
+import { scorePlacement, SCORING } from '../components/blockoduko/Scoring';
+import { BlockSolver } from '../components/blockoduko/Solver';
 const { width, height } = Dimensions.get("window");
-const BLOCK_SHAPES = {
-  Dot: [[1]],
-  Square2x2: [[1, 1], [1, 1]],
-  Small_L_d_r: [[1, 0], [1, 0], [1, 1]],
-  Small_L_d_l: [[0, 1], [0, 1], [1, 1]],
-  Small_L_u_r: [[1, 1], [1, 0], [1, 0]],
-  Small_L_u_l: [[1, 1], [0, 1], [0, 1]],
-  Line_3_v: [[1], [1], [1]],
-  Line_3_h: [[1, 1, 1]],
-  Line_4_v: [[1], [1], [1], [1]],
-  Line_4_h: [[1, 1, 1, 1]],
-  Line_5_v: [[1], [1], [1], [1], [1]],
-  Line_5_h: [[1, 1, 1, 1, 1]],
-  Corner1: [[1, 1], [1, 0]],
-  Corner2: [[1, 1], [0, 1]],
-  Corner3: [[1, 0], [1, 1]],
-  Corner4: [[0, 1], [1, 1]],
-  Square3x3: [[1, 1, 1], [1, 1, 1], [1, 1, 1]],
-  Large_L_d_r: [[1, 0, 0], [1, 0, 0], [1, 1, 1]],
-  Large_L_u_r: [[1, 1, 1], [1, 0, 0], [1, 0, 0]],
-  Large_L_d_l: [[0, 0, 1], [0, 0, 1], [1, 1, 1]],
-  Large_L_u_l: [[1, 1, 1], [0, 0, 1], [0, 0, 1]],
-  T_d: [[1, 1, 1], [0, 1, 0]],
-  T_u: [[0, 1, 0], [1, 1, 1]],
-  T_l: [[1, 0], [1, 1], [1, 0]],
-  T_r: [[0, 1], [1, 1], [0, 1]],
-};
-
-class Block{
-  constructor(shape,color){
-    this.shape = shape;
-    this.color=color;
-  }
-}
-
-class BlockGenerator{
-  constructor() {
-    const colors = [
-      "#ff5252", "#ff9800", "#ffeb3b","#9c27b0"
-    ];
-
-    this.allBlocks = Object.values(BLOCK_SHAPES).map(shape => {
-      const randomColor = colors[Math.floor(Math.random() * colors.length)];
-      return new Block(shape, randomColor);
-    });
-  }
-
-  getRandomBlock() {
-    const randomIndex = Math.floor(Math.random() * this.allBlocks.length);
-    return this.allBlocks[randomIndex];
-  }
-
-  getNewBlockSet() {
-    const blocksCopy = [...this.allBlocks];
-    for (var i = blocksCopy.length - 1; i > 0; i--) {
-      const j = Math.floor(Math.random() * (i + 1));
-      [blocksCopy[i], blocksCopy[j]] = [blocksCopy[j], blocksCopy[i]];
-    }
-    return blocksCopy.slice(0, 3);
-  }
-}
-
-class Grid {
-  constructor(size = 8) {
-    this.size = size;
-    this.matrix = Array(size).fill(null).map(() => Array(size).fill(null));
-  }
-
-  clone() {
-    const newGrid = new Grid(this.size);
-    newGrid.matrix = JSON.parse(JSON.stringify(this.matrix));
-    return newGrid;
-  }
-
-  canPlaceBlock(block, startRow, startCol) {
-    for(let r = 0; r < block.shape.length; r++){
-      for(let c = 0; c < block.shape[r].length; c++){
-        if(block.shape[r][c] === 1){
-          const boardRow = startRow + r;
-          const boardCol = startCol + c;
-          if(
-            boardRow < 0 || boardCol < 0 ||
-            boardRow >= this.size || boardCol >= this.size ||
-            this.matrix[boardRow][boardCol] !== null
-          )
-            return false;
-        }
-      }
-    }
-    return true;
-  }
-
-  placeBlock(block, startRow, startCol){
-    for(let r = 0; r < block.shape.length; r++){
-      for(let c = 0; c < block.shape[r].length; c++){
-        if(block.shape[r][c] === 1){
-          this.matrix[startRow + r][startCol + c] = { filled: true, color: block.color };
-        }
-      }
-    }
-  }
-
-  clearFullLines() {
-    const rowsToClear = [];
-    const colsToClear = [];
-
-    for (let r = 0; r < this.size; r++) {
-      if (this.matrix[r].every(cell => cell !== null)) {
-        rowsToClear.push(r);
-      }
-    }
-
-    for (let c = 0; c < this.size; c++) {
-      if (this.matrix.every(row => row[c] !==null)) {
-        colsToClear.push(c);
-      }
-    }
-
-    for (const r of rowsToClear) {
-      this.matrix[r] = Array(this.size).fill(null);
-    }
-
-    for (const c of colsToClear) {
-      for (let r = 0; r < this.size; r++) {
-        this.matrix[r][c] = null;
-      }
-    }
-
-    return { clearedRows: rowsToClear.length, clearedCols: colsToClear.length };
-  }
+const CELL_SIZE = Math.min(width / 10, 36);
+// Keep the dragged block above the finger on touch screens so the player can see where it goes
+const DRAG_LIFT = Platform.OS === 'web' ? 0 : CELL_SIZE * 2;
+const MODES = [
+  { size: 8, label: '8x8 Classic' },
+  { size: 9, label: '9x9 Boxes' },
+];
+
+const HINTS_PER_GAME = 3;
+const UNDO_LIMIT = 3;
+// Keeps the worst hint (empty 9x9, full tray) under a tenth of a second on desktop
+const HINT_NODE_BUDGET = 20000;
+const solver = new BlockSolver({ maxNodes: HINT_NODE_BUDGET });
+
+const profileManager = new ProfileManager();
+// The 8x8 board keeps the original 'blockoduko' scores
+const scoresFor = (size) => new ScoreManager(size === 8 ? 'blockoduko' : `blockoduko-${size}x${size}`, {
+  totals: ['linesCleared'],
+  maxima: ['bestCombo'],
+});
+// Each mode keeps its own game in progress
+const savesFor = (size) => new SaveSlots(`blockoduko-${size}x${size}`, 1);
+
+/**
+ * Top-left board cell for a block whose centre is at (x, y) relative to the board
+ */
+function snapToGrid(block, x, y) {
+  return {
+    row: Math.round(y / CELL_SIZE - block.shape.length / 2),
+    col: Math.round(x / CELL_SIZE - block.shape[0].length / 2),
+  };
 }
 
-function canAnyBlockBePlaced(grid, blocks) {
-  for (const block of blocks) {
-    if (!block) continue;
-    for (let r = 0; r < grid.size; r++) {
-      for (let c = 0; c < grid.size; c++) {
-        if (grid.canPlaceBlock(block, r, c)) {
-          return true;
-        }
-      }
+/**
+ * Where a dragged block would land: its cells on the board, whether it fits,
+ * and the lines it would clear. Null while the block is away from the board.
+ */
+function dropPreview(grid, block, row, col) {
+  const cells = [];
+  block.shape.forEach((shapeRow, r) => shapeRow.forEach((filled, c) => {
+    const boardRow = row + r;
+    const boardCol = col + c;
+    if (filled && boardRow >= 0 && boardCol >= 0 && boardRow < grid.size && boardCol < grid.size) {
+      cells.push(`${boardRow},${boardCol}`);
     }
-  }
-  return false;
+  }));
+  if (cells.length === 0) return null;
+
+  const valid = grid.canPlaceBlock(block, row, col);
+  const lines = valid ? grid.linesCompletedBy(block, row, col) : { rows: [], cols: [], boxes: [] };
+  return {
+    row,
+    col,
+    valid,
+    cells: new Set(cells),
+    rows: new Set(lines.rows),
+    cols: new Set(lines.cols),
+    boxes: new Set(lines.boxes),
+  };
 }
 
-const blockGenerator = new BlockGenerator();
-
-const Cell = ({ value }) => {
-  if(!value) return <View style={[styles.cell, styles.emptyCell]} />;
-  return (
-    <View
-      style={[
-        styles.cell,
-        { backgroundColor: value.color }
-      ]}
-    />
-  );
+const Cell = ({ value, ghost, clearing, shaded, hinted }) => {
+  const style = [styles.cell, value ? { backgroundColor: value.color } : shaded ? styles.shadedCell : styles.emptyCell];
+  if (clearing) style.push(styles.clearingCell);
+  if (hinted && !ghost) style.push(styles.hintCell);
+  if (ghost) style.push(ghost === 'valid' ? styles.ghostValid : styles.ghostInvalid);
+  return <View style={style} />;
 };
 
+const BlockShape = ({ block, cellSize }) => (
+  <View>
+    {block.shape.map((row, rowIndex) => (
+      <View key={rowIndex} style={styles.row}>
+        {row.map((cellValue, colIndex) => (
+          <View
+            key={colIndex}
+            style={[
+              { width: cellSize, height: cellSize },
+              cellValue === 1
+              ? { backgroundColor: block.color, borderColor: '#000', borderWidth: 1 }
+              : styles.emptyBlockCell
+            ]}
+          />
+        ))}
+      </View>
+    ))}
+  </View>
+);
+
+/**
+ * A tray block that can be dragged onto the board
+ */
+const BlockComponent = ({ block, enabled, isDragging, isHinted, onDragStart, onDragMove, onDrop, onDragEnd }) => {
+  const pan = Gesture.Pan()
+    .enabled(enabled)
+    .runOnJS(true)
+    .minDistance(0)
+    .onBegin(e => onDragStart(e.absoluteX, e.absoluteY))
+    .onUpdate(e => onDragMove(e.absoluteX, e.absoluteY))
+    .onEnd(e => onDrop(e.absoluteX, e.absoluteY))
+    .onFinalize(() => onDragEnd());
 
-const BlockComponent = ({ block, onSelect, isSelected }) => {
-  const wrapperStyle = isSelected ? [styles.blockWrapper, styles.selectedBlock] : styles.blockWrapper;
   return (
-    <TouchableOpacity onPress={onSelect} style={wrapperStyle} disabled={!onSelect}>
-      {block.shape.map((row, rowIndex) => (
-        <View key={rowIndex} style={styles.row}>
-          {row.map((cellValue, colIndex) => (
-            <View
-              key={colIndex}
-              style={[
-                styles.blockCell,
-                cellValue === 1
-                ? { backgroundColor: block.color, borderColor: '#000', borderWidth: 1 }
-                : styles.emptyBlockCell
-              ]}
-            />
-          ))}
-        </View>
-      ))}
-    </TouchableOpacity>
+    <GestureDetector gesture={pan}>
+      <View style={[styles.blockWrapper, isHinted && styles.hintedBlock, isDragging && styles.draggedBlock]}>
+        <BlockShape block={block} cellSize={18} />
+      </View>
+    </GestureDetector>
   );
 };
 
 const Blockoduko = () => {
+  const [boardSize, setBoardSize] = useState(8);
+  const generatorRef = useRef(null);
+  if (!generatorRef.current) generatorRef.current = new BlockGenerator();
   const [grid, setGrid] = useState(() => new Grid());
-  const [availableBlocks, setAvailableBlocks] = useState(() => blockGenerator.getNewBlockSet());
+  const [availableBlocks, setAvailableBlocks] = useState(() => generatorRef.current.getNewBlockSet(grid));
   const [score, setScore] = useState(0);
-  const [selectedBlock, setSelectedBlock] = useState(null);
+  const [drag, setDrag] = useState(null);
   const [isGameOver, setIsGameOver] = useState(false);
-  const [multiplier, setMultiplier] = useState(1);
+  const [streak, setStreak] = useState(0);
+  const [lastCombo, setLastCombo] = useState(0);
+  const [showRules, setShowRules] = useState(false);
+  const [hintsLeft, setHintsLeft] = useState(HINTS_PER_GAME);
+  const [hint, setHint] = useState(null);
+  const [thinking, setThinking] = useState(false);
+  const [history, setHistory] = useState([]);
+  const [undosLeft, setUndosLeft] = useState(UNDO_LIMIT);
+  const [bestCombo, setBestCombo] = useState(0);
+  const [linesCleared, setLinesCleared] = useState(0);
+  const [stats, setStats] = useState(null);
   const [highScore, setHighScore] = useState(0);
+  const startTimeRef = useRef(Date.now());
+  // When the board last ran out of moves, so the recorded duration leaves out time spent on the overlay
+  const endTimeRef = useRef(null);
+  // Nothing is saved until the stored game (if any) has been loaded, so it can't be overwritten
+  const readyRef = useRef(false);
+  const containerRef = useRef(null);
+  // Latest board, so a hint worked out for an older one can be dropped
+  const gridRef = useRef(grid);
+  gridRef.current = grid;
+  const boardRef = useRef(null);
+  const originsRef = useRef({ container: { x: 0, y: 0 }, board: { x: 0, y: 0 } });
 
   useEffect(() => {
     (async () => {
-      const savedScore = await AsyncStorage.getItem('highScore');
-      if (savedScore) setHighScore(parseInt(savedScore, 10));
+      const settings = await profileManager.getSettings('blockoduko', { boardSize: 8 });
+      openMode(settings.boardSize);
     })();
   }, []);
 
+  // Autosave after every placement or undo. A finished game stays saved, so its last
+  // placement can still be undone, until the player plays again or leaves it.
+  useEffect(() => {
+    if (!readyRef.current) return;
+    savesFor(grid.size).save(1, { ...snapshot(), history, undosLeft, hintsLeft, playtime: Date.now() - startTimeRef.current });
+  }, [grid, availableBlocks, hintsLeft]);
+
+  // Leaving the screen counts as moving on from a finished game
+  const leaveGameRef = useRef(null);
+  leaveGameRef.current = () => leaveGame();
+  useEffect(() => () => leaveGameRef.current(), []);
+
+  useEffect(() => {
+    (async () => {
+      setHighScore(await scoresFor(boardSize).getHighScore());
+    })();
+  }, [boardSize]);
+
   useEffect(() => {
     if (score > highScore) {
       setHighScore(score);
-      AsyncStorage.setItem('highScore', score.toString());
+      scoresFor(grid.size).submitScore(score);
     }
   }, [score, highScore]);
 
   useEffect(() => {
     if (availableBlocks.length > 0 && !isGameOver) {
       if (!canAnyBlockBePlaced(grid, availableBlocks)) {
+        endTimeRef.current = Date.now();
         setIsGameOver(true);
       }
     }
   }, [grid, availableBlocks, isGameOver]);
 
-  const handleRestart = () => {
-    setGrid(new Grid());
+  const handleRestart = (size = boardSize) => {
+    const newGrid = new Grid(size);
+    generatorRef.current = new BlockGenerator();
+    setBoardSize(size);
+    setGrid(newGrid);
     setScore(0);
-    setAvailableBlocks(blockGenerator.getNewBlockSet());
-    setSelectedBlock(null);
+    setAvailableBlocks(generatorRef.current.getNewBlockSet(newGrid));
+    setDrag(null);
     setIsGameOver(false);
-    setMultiplier(1);
+    setStreak(0);
+    setLastCombo(0);
+    setHintsLeft(HINTS_PER_GAME);
+    setHint(null);
+    setHistory([]);
+    setUndosLeft(UNDO_LIMIT);
+    setBestCombo(0);
+    setLinesCleared(0);
+    startTimeRef.current = Date.now();
   };
 
-  const handleCellPress = (rowIndex, colIndex) => {
-    if (isGameOver || !selectedBlock) {
-      if (!selectedBlock && !isGameOver) {
-        Alert.alert("No Block Selected", "Please select a block from the bottom first.");
-      }
-      return;
+  // Only called once the player moves on, since undo can still bring a finished game back
+  const recordGame = () => {
+    scoresFor(grid.size).recordGame({
+      score,
+      duration: endTimeRef.current - startTimeRef.current,
+      bestCombo,
+      linesCleared,
+    });
+  };
+
+  const playAgain = () => {
+    recordGame();
+    handleRestart();
+  };
+
+  // A finished game is recorded and its slot freed; an unfinished one stays saved to resume
+  const leaveGame = () => {
+    if (!isGameOver) return;
+    recordGame();
+    savesFor(grid.size).clear(1);
+  };
+
+  // Everything needed to put the game back exactly as it is now
+  const snapshot = () => ({
+    grid: grid.serialize(),
+    tray: availableBlocks.map(block => block.serialize()),
+    generator: generatorRef.current.serialize(),
+    score,
+    streak,
+    lastCombo,
+    bestCombo,
+    linesCleared,
+  });
+
+  const applySnapshot = (saved) => {
+    generatorRef.current = BlockGenerator.deserialize(saved.generator);
+    setBoardSize(saved.grid.size);
+    setGrid(Grid.deserialize(saved.grid));
+    setAvailableBlocks(saved.tray.map(block => Block.deserialize(block)));
+    setScore(saved.score);
+    setStreak(saved.streak);
+    setLastCombo(saved.lastCombo);
+    setBestCombo(saved.bestCombo);
+    setLinesCleared(saved.linesCleared);
+    setHint(null);
+    setDrag(null);
+    setIsGameOver(false);
+  };
+
+  // Resume the mode's saved game, or start a fresh one
+  const openMode = async (size) => {
+    readyRef.current = false;
+    const saved = await savesFor(size).load(1);
+    if (saved) {
+      applySnapshot(saved);
+      setHistory(saved.history || []);
+      setUndosLeft(saved.undosLeft ?? UNDO_LIMIT);
+      setHintsLeft(saved.hintsLeft ?? HINTS_PER_GAME);
+      startTimeRef.current = Date.now() - (saved.playtime || 0);
+    } else {
+      handleRestart(size);
     }
+    readyRef.current = true;
+  };
 
-    const blockHeight = selectedBlock.shape.length;
-    const blockWidth = selectedBlock.shape[0].length;
+  const changeMode = (size) => {
+    if (size === boardSize) return;
+    profileManager.saveSettings('blockoduko', { boardSize: size });
+    leaveGame();
+    openMode(size);
+  };
 
-    let startRow = rowIndex - Math.floor(blockHeight / 2);
-    let startCol = colIndex - Math.floor(blockWidth / 2);
+  const handleUndo = () => {
+    if (undosLeft === 0 || history.length === 0) return;
+    applySnapshot(history[history.length - 1]);
+    setHistory(history.slice(0, -1));
+    setUndosLeft(undosLeft - 1);
+  };
 
-    startRow = Math.max(0, Math.min(grid.size - blockHeight, startRow));
-    startCol = Math.max(0, Math.min(grid.size - blockWidth, startCol));
+  const showStats = async () => {
+    setStats(await scoresFor(boardSize).getStats());
+  };
 
-    if (grid.canPlaceBlock(selectedBlock, startRow, startCol)) {
-      const newGrid = grid.clone();
-      newGrid.placeBlock(selectedBlock, startRow, startCol);
+  // Window positions of the board and the screen, so finger coordinates can be mapped onto them
+  const measureOrigins = () => {
+    containerRef.current?.measureInWindow((x, y) => { originsRef.current.container = { x, y }; });
+    boardRef.current?.measureInWindow((x, y) => { originsRef.current.board = { x, y }; });
+  };
 
-      const blockCells = selectedBlock.shape.flat().reduce((sum, cell) => sum + cell, 0);
-      let scoreToAdd = blockCells;
+  const previewAt = (block, x, y) => {
+    const { board } = originsRef.current;
+    const { row, col } = snapToGrid(block, x - board.x, y - DRAG_LIFT - board.y);
+    return dropPreview(grid, block, row, col);
+  };
 
-      const { clearedRows, clearedCols } = newGrid.clearFullLines();
+  const handleDrop = (block, x, y) => {
+    const preview = previewAt(block, x, y);
+    if (preview?.valid) placeBlock(block, preview.row, preview.col);
+  };
 
-      if (clearedRows > 0 || clearedCols > 0) {
-        const lineClearBonus = (clearedRows + clearedCols + multiplier) * 9;
-        scoreToAdd += lineClearBonus;
+  const placeBlock = (block, startRow, startCol) => {
+    if (grid.canPlaceBlock(block, startRow, startCol)) {
+      // Only the last few placements can be taken back
+      setHistory([...history, snapshot()].slice(-UNDO_LIMIT));
+      const newGrid = grid.clone();
+      newGrid.placeBlock(block, startRow, startCol);
 
-        const newMultiplier = multiplier + clearedRows + clearedCols;
-        setMultiplier(newMultiplier);
-      } else setMultiplier(1);
+      const blockCells = block.shape.flat().reduce((sum, cell) => sum + cell, 0);
+      const { clearedRows, clearedCols, clearedBoxes } = newGrid.clearFullLines();
+      const cleared = clearedRows + clearedCols + clearedBoxes;
+      const result = scorePlacement(blockCells, cleared, streak);
+      setLinesCleared(linesCleared + cleared);
+      setBestCombo(Math.max(bestCombo, result.combo));
 
-      setScore(prev => prev + scoreToAdd);
+      setStreak(result.streak);
+      setLastCombo(result.combo);
+      const newScore = score + result.points;
+      setScore(newScore);
 
       setGrid(newGrid);
+      setHint(null);
 
-      const remainingBlocks = availableBlocks.filter(b => b !== selectedBlock);
-      setSelectedBlock(null);
+      const remainingBlocks = availableBlocks.filter(b => b !== block);
 
       if (remainingBlocks.length === 0) {
-        setAvailableBlocks(blockGenerator.getNewBlockSet());
+        setAvailableBlocks(generatorRef.current.getNewBlockSet(newGrid, levelFor(newScore)));
       } else {
         setAvailableBlocks(remainingBlocks);
       }
-    } else {
-      Alert.alert("Invalid Move", "Cannot place the block here.");
     }
   };
 
+  // Best placement for the whole tray, as worked out by the solver once the press has been handled
+  const showHint = () => {
+    if (hintsLeft === 0 || isGameOver || thinking) return;
+    setThinking(true);
+    InteractionManager.runAfterInteractions(() => {
+      setTimeout(() => {
+        const move = solver.bestMove(grid, availableBlocks, streak);
+        setThinking(false);
+        if (!move || gridRef.current !== grid) return;
+        setHint(move);
+        setHintsLeft(left => left - 1);
+      }, 0);
+    });
+  };
+
+  const canUndo = undosLeft > 0 && history.length > 0;
+  const preview = drag && previewAt(drag.block, drag.x, drag.y);
+  const hintCells = hint && dropPreview(grid, hint.block, hint.row, hint.col).cells;
+  const ghostState = preview && (preview.valid ? 'valid' : 'invalid');
+  const isClearing = (row, col) => preview && (
+    preview.rows.has(row) || preview.cols.has(col) || preview.boxes.has(grid.boxOf(row, col))
+  );
+  const origin = originsRef.current.container;
+
   return (
     <ImageBackground
       source={require("../assets/images/background_main.png")}
       style={styles.bg}
       resizeMode="cover"
     >
-      <View style={styles.container}>
+      <View style={styles.container} ref={containerRef} onLayout={measureOrigins}>
 
         <Text style={styles.title}>Blockodoku</Text>
+        <ProfileBadge />
+
+        <View style={styles.modeRow}>
+          {MODES.map(mode => (
+            <TouchableOpacity
+              key={mode.size}
+              onPress={() => changeMode(mode.size)}
+              style={[styles.modeButton, boardSize === mode.size && styles.modeButtonActive]}
+            >
+              <Text style={styles.modeText}>{mode.label}</Text>
+            </TouchableOpacity>
+          ))}
+          <TouchableOpacity onPress={() => setShowRules(true)} style={styles.modeButton}>
+            <Text style={styles.modeText}>Rules</Text>
+          </TouchableOpacity>
+        </View>
+
+        <View style={styles.modeRow}>
+          <TouchableOpacity
+            onPress={showHint}
+            disabled={hintsLeft === 0 || isGameOver || thinking}
+            style={[styles.modeButton, (hintsLeft === 0 || isGameOver || thinking) && styles.disabledButton]}
+          >
+            <Text style={styles.modeText}>{thinking ? 'Thinking…' : `Hint (${hintsLeft})`}</Text>
+          </TouchableOpacity>
+          <TouchableOpacity
+            onPress={handleUndo}
+            disabled={!canUndo}
+            style={[styles.modeButton, !canUndo && styles.disabledButton]}
+          >
+            <Text style={styles.modeText}>Undo ({undosLeft})</Text>
+          </TouchableOpacity>
+          <TouchableOpacity onPress={showStats} style={styles.modeButton}>
+            <Text style={styles.modeText}>Stats</Text>
+          </TouchableOpacity>
+        </View>
 
         <View style={styles.scoreContainer}>
           <Text style={styles.score}>Score: {score}</Text>
           <Text style={styles.highScore}>High Score: {highScore}</Text>
-          <Text style={styles.multiplier}>Multiplier: {multiplier}x</Text>
+          <Text style={styles.multiplier}>Streak: {streak}</Text>
         </View>
+        <Text style={styles.comboText}>
+          Level {levelFor(score)}{lastCombo > 1 ? `   Combo x${lastCombo}!` : ''}
+        </Text>
 
-        <View>
+        <View ref={boardRef} collapsable={false} onLayout={measureOrigins}>
           {grid.matrix.map((row, rowIndex) => (
             <View key={rowIndex} style={styles.row}>
               {row.map((cellValue, colIndex) => (
-                <TouchableOpacity
+                <Cell
                   key={colIndex}
-                  onPress={() => handleCellPress(rowIndex, colIndex)}
-                  disabled={isGameOver}
-                >
-                  <Cell value={cellValue} />
-                </TouchableOpacity>
+                  value={cellValue}
+                  ghost={preview?.cells.has(`${rowIndex},${colIndex}`) ? ghostState : null}
+                  clearing={isClearing(rowIndex, colIndex)}
+                  shaded={grid.boxSize > 0 && grid.boxOf(rowIndex, colIndex) % 2 === 1}
+                  hinted={hintCells?.has(`${rowIndex},${colIndex}`)}
+                />
               ))}
             </View>
           ))}
         </View>
 
-        <Text style={styles.instructions}>Select a block, then tap the grid to place it.</Text>
+        <Text style={styles.instructions}>Drag a block onto the grid to place it.</Text>
 
         <View style={styles.blockContainer}>
           {availableBlocks.map((block, index) => (
             <BlockComponent
               key={index}
               block={block}
-              isSelected={block === selectedBlock}
-              onSelect={!isGameOver ? () => setSelectedBlock(block) : null}
+              enabled={!isGameOver}
+              isDragging={drag?.block === block}
+              isHinted={hint?.block === block}
+              onDragStart={(x, y) => {
+                measureOrigins();
+                setDrag({ block, x, y });
+              }}
+              onDragMove={(x, y) => setDrag({ block, x, y })}
+              onDrop={(x, y) => handleDrop(block, x, y)}
+              onDragEnd={() => setDrag(null)}
             />
           ))}
         </View>
 
+        {drag && (
+          <View
+            pointerEvents="none"
+            style={[
+              styles.floatingBlock,
+              {
+                left: drag.x - origin.x - (drag.block.shape[0].length * CELL_SIZE) / 2,
+                top: drag.y - DRAG_LIFT - origin.y - (drag.block.shape.length * CELL_SIZE) / 2,
+              },
+            ]}
+          >
+            <BlockShape block={drag.block} cellSize={CELL_SIZE} />
+          </View>
+        )}
+
         {isGameOver && (
           <View style={styles.gameOverOverlay}>
             <Text style={styles.gameOverText}>Game Over</Text>
             <Text style={styles.finalScoreText}>Final Score: {score}</Text>
 
-            <TouchableOpacity onPress={handleRestart} style={styles.restartButton}>
+            <TouchableOpacity onPress={playAgain} style={styles.restartButton}>
               <Text style={styles.restartButtonText}>Play Again</Text>
             </TouchableOpacity>
+            {canUndo && (
+              <TouchableOpacity onPress={handleUndo} style={[styles.restartButton, styles.overlayUndoButton]}>
+                <Text style={styles.restartButtonText}>Undo last move ({undosLeft})</Text>
+              </TouchableOpacity>
+            )}
+          </View>
+        )}
+
+        {showRules && (
+          <View style={styles.gameOverOverlay}>
+            <View style={styles.rulesPanel}>
+              <Text style={styles.rulesTitle}>Scoring</Text>
+              <Text style={styles.rulesText}>• Each block cell placed: {SCORING.perCell} point</Text>
+              <Text style={styles.rulesText}>
+                • Each full row or column{boardSize === 9 ? ' or 3x3 box' : ''} clears for {SCORING.perClear} points
+              </Text>
+              <Text style={styles.rulesText}>
+                • Combo: clearing several at once multiplies each clear by how many there were
+              </Text>
+              <Text style={styles.rulesText}>
+                • Streak: every placement in a row that clears something adds {SCORING.perStreak} x streak
+              </Text>
+              <Text style={styles.rulesText}>• A placement that clears nothing resets the streak</Text>
+              <TouchableOpacity onPress={() => setShowRules(false)} style={styles.restartButton}>
+                <Text style={styles.restartButtonText}>Got it</Text>
+              </TouchableOpacity>
+            </View>
+          </View>
+        )}
+
+        {stats && (
+          <View style={styles.gameOverOverlay}>
+            <View style={styles.rulesPanel}>
+              <Text style={styles.rulesTitle}>{boardSize}x{boardSize} Stats</Text>
+              <Text style={styles.rulesText}>Games played: {stats.gamesPlayed}</Text>
+              <Text style={styles.rulesText}>
+                Average score: {stats.gamesPlayed ? Math.round(stats.totalScore / stats.gamesPlayed) : 0}
+              </Text>
+              <Text style={styles.rulesText}>Best score: {stats.best}</Text>
+              <Text style={styles.rulesText}>Best combo: x{stats.maxima.bestCombo || 0}</Text>
+              <Text style={styles.rulesText}>Lines cleared: {stats.totals.linesCleared || 0}</Text>
+              <Text style={styles.rulesText}>Time played: {Math.round(stats.totalPlaytime / 60000)} min</Text>
+              <TouchableOpacity onPress={() => setStats(null)} style={styles.restartButton}>
+                <Text style={styles.restartButtonText}>Close</Text>
+              </TouchableOpacity>
+            </View>
           </View>
         )}
 
@@ -409,14 +612,71 @@ highScore: {
 
   instructions: { marginTop: 20, fontSize: 16, color: '#eee' },
 
+  modeRow: {
+    flexDirection: 'row',
+    gap: 8,
+    marginVertical: 8,
+  },
+  modeButton: {
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: '#9900ff',
+    backgroundColor: 'rgba(0,0,0,0.4)',
+  },
+  modeButtonActive: { backgroundColor: '#9900ff' },
+  disabledButton: { opacity: 0.4 },
+  modeText: { color: '#fff', fontWeight: 'bold' },
+
+  comboText: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#00eaff',
+    marginBottom: 6,
+  },
+
+  rulesPanel: {
+    width: '85%',
+    padding: 20,
+    borderRadius: 12,
+    borderWidth: 2,
+    borderColor: '#9900ff',
+    backgroundColor: '#12022b',
+    alignItems: 'center',
+  },
+  rulesTitle: {
+    fontSize: 24,
+    fontWeight: 'bold',
+    color: '#fff',
+    marginBottom: 12,
+  },
+  rulesText: {
+    alignSelf: 'stretch',
+    fontSize: 15,
+    color: '#eee',
+    marginBottom: 8,
+  },
+
   row: { flexDirection: 'row' },
 
   cell: {
-  width: Math.min(width / 10, 36),
-  height: Math.min(width / 10, 36),
+  width: CELL_SIZE,
+  height: CELL_SIZE,
   borderWidth: 1, borderColor: '#ccc' },
   emptyCell: { backgroundColor: 'rgba(255,255,255,0.2)',
    },
+  shadedCell: { backgroundColor: 'rgba(255,255,255,0.35)' },
+  hintCell: { backgroundColor: 'rgba(255, 235, 59, 0.6)', borderColor: '#ffeb3b' },
+  ghostValid: { backgroundColor: 'rgba(76, 175, 80, 0.6)', borderColor: '#4caf50' },
+  ghostInvalid: { backgroundColor: 'rgba(244, 67, 54, 0.6)', borderColor: '#f44336' },
+  clearingCell: {
+    borderColor: '#00eaff',
+    borderWidth: 2,
+    shadowColor: '#00eaff',
+    shadowOpacity: 0.9,
+    shadowRadius: 6,
+  },
   blockContainer: {
     flexDirection: 'row',
     justifyContent: 'space-around',
@@ -428,15 +688,15 @@ highScore: {
   },
 
   blockWrapper: { padding: 2 },
-  selectedBlock: {
+  draggedBlock: { opacity: 0.3 },
+  hintedBlock: {
     borderWidth: 2,
-    borderColor: '#00bcd4',
-    transform: [{ scale: 1.1 }],
+    borderColor: '#ffeb3b',
     borderRadius: 5,
-    backgroundColor: 'rgba(0, 188, 212, 0.2)'
+    backgroundColor: 'rgba(255, 235, 59, 0.2)',
   },
+  floatingBlock: { position: 'absolute', opacity: 0.8 },
 
-  blockCell: { width: 18, height: 18 },
   emptyBlockCell: { backgroundColor: 'transparent' },
   filledBlockCell: {
     backgroundColor: '#9900ffff',
@@ -473,6 +733,10 @@ highScore: {
     elevation: 5,
   },
 
+  overlayUndoButton: {
+    marginTop: 12,
+  },
+
   restartButtonText: {
     color: '#333',
     fontSize: 20,
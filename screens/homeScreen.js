@@ -1,6 +1,8 @@
 import React, { useEffect, useState } from 'react';
 import { Image } from 'react-native';
 import Icon from 'react-native-vector-icons/FontAwesome';
+import ProfileBadge from '../components/ProfileBadge';
+import ProfilePicker from '../components/ProfilePicker';
 
 import { ActivityIndicator, Animated, Dimensions, ImageBackground, Platform, Pressable, ScrollView, StatusBar, StyleSheet, Text, View, } from 'react-native';
 
@@ -79,6 +81,7 @@ const Playground = ({ navigation }) => {
   const [data, setData] = useState([]);
   const [loading, setLoading] = useState(true);
   const [fadeAnim] = useState(new Animated.Value(0));
+  const [showProfiles, setShowProfiles] = useState(false);
 
   useEffect(() => {
     const gamesData = [
@@ -209,11 +212,11 @@ const Playground = ({ navigation }) => {
             <Image source={require("../assets/images/logo.jpg")} style={[{ width: "95%", height: "50" }, styles.logoText]}></Image>
           </View>
 
-          {/* <Pressable style={styles.profileButton}>
-             <Ionicons name="person-circle-outline" size={28} color="#cecdcdff" />
-
-          </Pressable> */}
+          <Pressable style={styles.profileButton} onPress={() => setShowProfiles(true)}>
+            <ProfileBadge />
+          </Pressable>
         </View>
+        <ProfilePicker visible={showProfiles} onClose={() => setShowProfiles(false)} />
 
         {loading ? (
           <View style={styles.loadingContainer}>
@@ -335,6 +338,9 @@ const styles = StyleSheet.create({
     gap: 10,
     paddingTop: "10"
   },
+  profileButton: {
+    paddingTop: 10,
+  },
   logoIcon: {
     fontSize: 28,
   },
@@ -1,5 +1,6 @@
 import { useEffect, useState } from "react";
 import { Alert, ImageBackground, StatusBar, StyleSheet, Text, TouchableOpacity, View } from "react-native";
+import ProfileBadge from "../components/ProfileBadge";
 
 class SudokuBoard {
   constructor() {
@@ -256,6 +257,7 @@ const SudokuApp = () => {
       resizeMode="cover"
     >
       <Text style={styles.title}>Sudoku</Text>
+      <ProfileBadge style={{ marginBottom: 10 }} />
 
       <View style={styles.controlsRow}>
         <TouchableOpacity style={styles.controlButton} onPress={handleNewGame}>
@@ -7,6 +7,7 @@ import {
   Dimensions,
 } from 'react-native';
 import { useNavigation } from '@react-navigation/native';
+import ProfileBadge from '../components/ProfileBadge';
 
 const { width, height } = Dimensions.get('window');
 
@@ -389,6 +390,7 @@ const TicTacToeScreen = () => {
     <View style={styles.container}>
       <View style={styles.gradientOverlay} />
       <View style={styles.gameContainer}>
+        <ProfileBadge style={{ marginBottom: 10 }} />
         <View style={styles.turnContainer}>
           <Text style={styles.turnText}>
             {game.winner === 'Draw' ? "🤝 It's a Draw!" : game.winner ? `🎉 Player ${game.winner} Wins!` : `Player ${game.currentPlayer}'s Turn`}
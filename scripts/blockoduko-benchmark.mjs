@@ -0,0 +1,21 @@
+// blockoduko-benchmark.mjs - let the Blockoduko solver play seeded games headless and report how it did:
+// `npm run blockoduko:benchmark -- [games] [size] [maxPlacements]`
+import { register } from 'node:module';
+
+// The game code is written for Metro, so borrow the bingo hall's loader for it
+register('../backend/bingo-hall/hooks.mjs', import.meta.url);
+
+const { BlockSolver, benchmark } = await import('../components/blockoduko/Solver.js');
+
+const [games, size, maxPlacements] = process.argv.slice(2).map(Number);
+const options = {};
+if (games) options.games = games;
+if (size) options.size = size;
+if (maxPlacements) options.maxPlacements = maxPlacements;
+
+const result = benchmark(new BlockSolver(), options);
+console.log(`${result.games} games on ${options.size || 8}x${options.size || 8}`);
+console.log(`  average score  ${result.averageScore.toFixed(1)}  (best ${result.bestScore}, worst ${result.worstScore})`);
+console.log(`  placements     ${result.averagePlacements.toFixed(1)} per game`);
+console.log(`  clears         ${result.averageClears.toFixed(1)} per game`);
+console.log(`  time           ${Math.round(result.msPerGame)} ms per game`);